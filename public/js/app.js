@@ -9,11 +9,20 @@ document.addEventListener('DOMContentLoaded', function() {
     const discordStatusText = document.getElementById('discord-status-text');
     const mediaTitle = document.getElementById('media-title');
     const mediaMetadata = document.getElementById('media-metadata');
+    const mediaQueue = document.getElementById('media-queue');
+    const mediaTechnical = document.getElementById('media-technical');
+    const mediaMatch = document.getElementById('media-match');
+    const mediaIdle = document.getElementById('media-idle');
     const mediaPoster = document.getElementById('media-poster');
     const progressFill = document.getElementById('progress-fill');
     const progressTime = document.getElementById('progress-time');
     const progressPercentage = document.getElementById('progress-percentage');
     const tmdbLink = document.getElementById('tmdb-link');
+    const vlcInstancesSection = document.getElementById('vlc-instances-section');
+    const vlcInstancesTable = document.getElementById('vlc-instances-table');
+    const remoteControl = document.getElementById('remote-control');
+    const remoteToggle = document.getElementById('remote-toggle');
+    const remoteSeek = document.getElementById('remote-seek');
     
     const settingsForm = document.getElementById('settings-form');
     const vlcHostInput = document.getElementById('vlc-host');
@@ -56,6 +65,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const overrideTitleInput = document.getElementById('override-title');
     const overrideJsonInput = document.getElementById('override-json');
     const overrideAddBtn = document.getElementById('override-add');
+    const overrideFromCurrentBtn = document.getElementById('override-from-current');
 
     // Wizard elements
     const wizardTestVlcBtn = document.getElementById('wizard-test-vlc');
@@ -132,10 +142,16 @@ document.addEventListener('DOMContentLoaded', function() {
     
     let lastVlcStatus = null;
     let lastDiscordStatus = null;
+    let idleExpiresAt = null;
 
     socket.on('vlcStatus', (status) => {
         lastVlcStatus = status;
+        // Count down from the server's remaining time, not its clock
+        idleExpiresAt = status.idle ? Date.now() + status.idle.remaining : null;
+        updateIdleDisplay();
         updateVLCStatus(status);
+        updateVLCInstances(status);
+        updateRemoteControl(status);
         if (vlcStatusJson) {
             vlcStatusJson.textContent = safeJSONStringify(status, 2);
         }
@@ -334,6 +350,48 @@ document.addEventListener('DOMContentLoaded', function() {
         return res.json();
     }
 
+    // ---------------------------------
+    // Remote control
+    // ---------------------------------
+    let remoteSeeking = false;
+
+    function sendControl(action, value) {
+        socket.emit('vlcControl', { action, value, adminToken: getAdminToken() }, (result) => {
+            if (result && result.error) {
+                showNotification(`Control failed: ${result.error}${result.error === 'unauthorized' ? ' (set Admin Token in Settings)' : ''}`, 'error');
+            }
+        });
+    }
+
+    function updateRemoteControl(status) {
+        if (!remoteControl) return;
+        const hasMedia = Boolean(status && status.connected && (status.playing || status.paused));
+        remoteControl.querySelectorAll('button, input').forEach(el => { el.disabled = !hasMedia; });
+
+        if (remoteToggle) {
+            // Toggle sends the opposite of the current state
+            remoteToggle.dataset.control = status && status.playing ? 'pause' : 'play';
+            remoteToggle.textContent = status && status.playing ? '⏸' : '▶';
+        }
+        if (remoteSeek && !remoteSeeking) {
+            remoteSeek.value = String(((status && status.position) || 0) * 100);
+        }
+    }
+
+    if (remoteControl) {
+        remoteControl.querySelectorAll('button[data-control]').forEach(button => {
+            button.addEventListener('click', () => sendControl(button.dataset.control, button.dataset.value));
+        });
+    }
+
+    if (remoteSeek) {
+        remoteSeek.addEventListener('input', () => { remoteSeeking = true; });
+        remoteSeek.addEventListener('change', () => {
+            remoteSeeking = false;
+            sendControl('seek', `${remoteSeek.value}%`);
+        });
+    }
+
     // ---------------------------------
     // Diagnostics
     // ---------------------------------
@@ -582,6 +640,32 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Pre-fill a folder rule for the playing file's folder; saved with Add / Update
+    if (overrideFromCurrentBtn) {
+        overrideFromCurrentBtn.addEventListener('click', () => {
+            const filePath = lastVlcStatus && lastVlcStatus.filePath;
+            if (!filePath || (/^[a-z][a-z0-9+.-]+:\/\//i.test(filePath) && !/^file:/i.test(filePath))) {
+                showNotification('The current item is not a local file', 'warning');
+                return;
+            }
+            const localPath = decodeURIComponent(filePath.replace(/^file:\/\//i, ''));
+            const folder = localPath.replace(/[\\/][^\\/]*$/, '');
+            const metadata = lastVlcStatus.metadata || {};
+            const rule = {
+                tmdbId: metadata.id || null,
+                mediaType: lastVlcStatus.mediaType === 'movie' ? 'movie' : 'tv',
+            };
+            if (rule.mediaType === 'tv') {
+                rule.seasonOffset = 0;
+                rule.episodeRegex = '';
+            }
+            if (overrideCategoryInput) overrideCategoryInput.value = 'folderRules';
+            if (overrideTitleInput) overrideTitleInput.value = `${folder}/**`;
+            if (overrideJsonInput) overrideJsonInput.value = safeJSONStringify(rule, 2);
+            showNotification('Check the TMDb ID, then Add / Update to save the rule', 'info');
+        });
+    }
+
     if (overridesTable) {
         overridesTable.addEventListener('click', async (e) => {
             const btn = e.target.closest('button');
@@ -689,6 +773,8 @@ document.addEventListener('DOMContentLoaded', function() {
             if (status.title) {
                 // Media is available
                 mediaTitle.textContent = status.title;
+                // Why this name was picked (hover the title)
+                mediaTitle.title = status.titleReason || '';
                 
                 // Update metadata display
                 if (status.metadata) {
@@ -698,9 +784,17 @@ document.addEventListener('DOMContentLoaded', function() {
                         mediaMetadata.textContent = `${meta.year ? `(${meta.year}) • ` : ''}${meta.genres.slice(0, 3).join(', ')}`;
                         mediaPoster.src = meta.posterUrl || 'assets/vlc.png';
                     } else if (meta.type === 'tv') {
-                        const episodeInfo = meta.formattedEpisode ? ` • ${meta.formattedEpisode}` : '';
+                        const episodeCode = meta.airDate || meta.formattedEpisode;
+                        const episodeInfo = episodeCode ? ` • ${episodeCode}` : '';
                         mediaMetadata.textContent = `${meta.episodeTitle || ''}${episodeInfo} • ${meta.genres.slice(0, 2).join(', ')}`;
                         mediaPoster.src = meta.posterUrl || 'assets/vlc.png';
+                    } else if (meta.type === 'radio') {
+                        const song = meta.title ? [meta.artist, meta.title].filter(Boolean).join(' – ') : 'Live stream';
+                        mediaMetadata.textContent = `${song} • ${meta.station}`;
+                        mediaPoster.src = meta.artworkUrl || 'assets/vlc.png';
+                    } else if (meta.type === 'music') {
+                        mediaMetadata.textContent = [meta.artist, meta.album].filter(Boolean).join(' • ') || 'Music';
+                        mediaPoster.src = meta.artworkUrl || 'assets/vlc.png';
                     }
                     
                     // Update TMDb link
@@ -719,6 +813,10 @@ document.addEventListener('DOMContentLoaded', function() {
                     }
                 }
                 
+                updateQueueDisplay(status);
+                updateTechnicalDisplay(status);
+                updateMatchDisplay(status);
+
                 // Update progress
                 const position = status.position || 0;
                 progressFill.style.width = `${position * 100}%`;
@@ -741,6 +839,103 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    function updateVLCInstances(status) {
+        if (!vlcInstancesSection || !vlcInstancesTable) return;
+        const instances = (status && status.instances) || [];
+        // Only worth showing when more than one endpoint is configured
+        vlcInstancesSection.style.display = instances.length > 1 ? '' : 'none';
+
+        const tbody = vlcInstancesTable.querySelector('tbody');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+        instances.forEach(instance => {
+            const state = !instance.connected ? 'Disconnected'
+                : instance.playing ? 'Playing'
+                : instance.paused ? 'Paused' : 'Idle';
+            const cells = [
+                `${instance.name}${instance.active ? ' (active)' : ''}`,
+                instance.backend === 'mpv' ? 'mpv' : `${instance.backend} ${instance.host || ''}:${instance.port || ''}`,
+                String(instance.priority || 0),
+                state,
+                instance.title || '-'
+            ];
+            const tr = document.createElement('tr');
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            if (instance.active) tr.className = 'status-connected';
+            tbody.appendChild(tr);
+        });
+    }
+
+    function updateQueueDisplay(status) {
+        if (!mediaQueue) return;
+        const parts = [];
+        if (status.playlistLength > 1 && status.playlistPosition) {
+            const noun = status.mediaType === 'tv' || status.mediaType === 'anime' ? 'Episode' : 'Item';
+            parts.push(`${noun} ${status.playlistPosition} of ${status.playlistLength} in queue`);
+        }
+        if (status.chapter && status.chapterCount) {
+            const chapter = `Chapter ${status.chapter} of ${status.chapterCount}`;
+            parts.push(status.chapterName ? `${chapter}: ${status.chapterName}` : chapter);
+        }
+        if (status.nextItem) {
+            const next = status.nextItem;
+            const label = next.season !== null && next.episode !== null && next.title
+                ? `${next.title} ${next.label}`
+                : next.label;
+            parts.push(`Up next: ${label}`);
+        }
+        mediaQueue.textContent = parts.join(' • ');
+    }
+
+    function updateTechnicalDisplay(status) {
+        if (!mediaTechnical) return;
+        const tech = status.technical;
+        if (!tech) {
+            mediaTechnical.textContent = '';
+            return;
+        }
+        const parts = [
+            [tech.resolution, tech.videoCodec, tech.hdr].filter(Boolean).join(' '),
+            tech.frameRate ? `${tech.frameRate} fps` : '',
+            [tech.audioCodec, tech.audioChannels, tech.atmos ? 'Atmos' : ''].filter(Boolean).join(' '),
+            tech.subtitleLanguage ? `Subtitles: ${tech.subtitleLanguage}` : '',
+        ];
+        mediaTechnical.textContent = parts.filter(Boolean).join(' • ');
+    }
+
+    function updateMatchDisplay(status) {
+        if (!mediaMatch) return;
+        const labels = {
+            nfo: 'Matched via .nfo sidecar',
+            kodi: 'Matched via Kodi library',
+            filename: 'Matched via ID tag in file name',
+            folderRule: 'Matched via folder rule',
+        };
+        const source = status.metadata && status.metadata.matchSource;
+        mediaMatch.textContent = labels[source] || '';
+    }
+
+    function updateIdleDisplay() {
+        if (!mediaIdle) return;
+        const idle = lastVlcStatus && lastVlcStatus.idle;
+        if (!idle || idleExpiresAt === null) {
+            mediaIdle.textContent = '';
+            return;
+        }
+        const remaining = Math.max(0, Math.round((idleExpiresAt - Date.now()) / 1000));
+        const action = idle.action === 'idle' ? 'Switching to "Idle in VLC"' : 'Clearing presence';
+        if (remaining === 0) {
+            mediaIdle.textContent = idle.action === 'idle' ? 'Idle: showing "Idle in VLC"' : 'Idle: presence cleared';
+        } else {
+            mediaIdle.textContent = `${action} in ${formatTime(remaining)}`;
+        }
+    }
+    setInterval(updateIdleDisplay, 1000);
+
     function updateDiscordStatus(status) {
         setDiscordStatus(status.connected);
     }
@@ -763,6 +958,9 @@ document.addEventListener('DOMContentLoaded', function() {
         // Reset main media display
         if (mediaTitle) mediaTitle.textContent = 'Not playing';
         if (mediaMetadata) mediaMetadata.textContent = '-';
+        if (mediaQueue) mediaQueue.textContent = '';
+        if (mediaTechnical) mediaTechnical.textContent = '';
+        if (mediaMatch) mediaMatch.textContent = '';
         if (mediaPoster) mediaPoster.src = 'assets/vlc.png';
         
         if (progressFill) progressFill.style.width = '0%';
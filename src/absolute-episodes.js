@@ -0,0 +1,53 @@
+/**
+ * Absolute episode numbering
+ * Fansub releases number long-running anime across seasons
+ * ("[SubsPlease] One Piece - 1085"), TMDb wants season + episode.
+ */
+
+// TMDb episode group types: 1 original air date, 2 absolute, 3 DVD, 4 digital,
+// 5 story arc, 6 production, 7 TV
+export const ABSOLUTE_GROUP_TYPE = 2;
+
+/**
+ * Map an absolute number using an episode group's ordering
+ * Groups and their episodes are walked in `order`; the Nth episode is the answer.
+ * @param {Object} group - /tv/episode_group/{id} response
+ * @param {number} absolute - 1-based absolute episode number
+ * @returns {Object|null} { season, episode } or null when the group is shorter
+ */
+export function mapFromEpisodeGroup(group, absolute) {
+  const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+  const episodes = [...(group?.groups || [])]
+    .sort(byOrder)
+    .flatMap(part => [...(part.episodes || [])].sort(byOrder));
+
+  const match = episodes[absolute - 1];
+  return match ? { season: match.season_number, episode: match.episode_number } : null;
+}
+
+/**
+ * Map an absolute number using the show's season episode counts
+ * Specials (season 0) don't count. Numbers past the last known episode land in
+ * the last season, since TMDb's counts trail currently airing shows.
+ * @param {Array<Object>} seasons - Show details `seasons` ({ season_number, episode_count })
+ * @param {number} absolute - 1-based absolute episode number
+ * @returns {Object|null} { season, episode } or null without usable seasons
+ */
+export function mapFromSeasonCounts(seasons, absolute) {
+  const regular = (seasons || [])
+    .filter(season => season.season_number > 0 && season.episode_count > 0)
+    .sort((a, b) => a.season_number - b.season_number);
+  if (regular.length === 0 || !(absolute > 0)) return null;
+
+  let remaining = absolute;
+  for (const season of regular) {
+    if (remaining <= season.episode_count) {
+      return { season: season.season_number, episode: remaining };
+    }
+    remaining -= season.episode_count;
+  }
+  const last = regular[regular.length - 1];
+  return { season: last.season_number, episode: last.episode_count + remaining };
+}
+
+export default mapFromSeasonCounts;
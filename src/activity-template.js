@@ -33,6 +33,10 @@ export class ActivityTemplate {
       '{percentage}': data.percentage ? `${Math.round(data.percentage)}%` : '',
       '{genre}': data.genre || '',
       '{rating}': data.rating ? `⭐ ${data.rating}/10` : '',
+      '{technical}': data.technical?.summary || '',
+      '{resolution}': data.technical?.resolution || '',
+      '{hdr}': data.technical?.hdr || '',
+      '{audio}': [data.technical?.audioCodec, data.technical?.audioChannels].filter(Boolean).join(' '),
     };
 
     // Replace all placeholders
@@ -73,7 +77,7 @@ export class ActivityTemplate {
     const validPlaceholders = new Set([
       'title', 'year', 'season', 'episode', 'episodeTitle',
       'director', 'duration', 'position', 'remaining', 'percentage',
-      'genre', 'rating'
+      'genre', 'rating', 'technical', 'resolution', 'hdr', 'audio'
     ]);
 
     const placeholderRegex = /\{(\w+)\}/g;
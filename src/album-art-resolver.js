@@ -0,0 +1,97 @@
+import fetch from 'node-fetch';
+import { LRUCache } from 'lru-cache';
+import logger from './logger.js';
+
+/**
+ * Album art resolver
+ * Looks up cover art for a track through the iTunes Search API by default.
+ * `baseUrl` can point at any service speaking the same /search format (e.g. a
+ * local stand-in in tests), and VLCMonitor accepts any object exposing
+ * `resolve(music)` as a replacement resolver.
+ */
+export class AlbumArtResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} options.baseUrl - Search API base URL (default 'https://itunes.apple.com')
+   * @param {number} options.timeout - Request timeout in ms (default 3000)
+   * @param {number} options.size - Artwork edge length in px (default 512)
+   * @param {boolean} options.enabled - false skips remote lookups (default true)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://itunes.apple.com').replace(/\/+$/, '');
+    this.timeout = options.timeout || 3000;
+    this.size = options.size || 512;
+    this.enabled = options.enabled !== false;
+    this.cache = new LRUCache({ max: 500, ttl: 24 * 60 * 60 * 1000 });
+  }
+
+  /**
+   * Resolve artwork and a store link for a track
+   * @param {Object} music - Music info from extractMusicInfo()
+   * @returns {Promise<Object>} Music metadata: { type: 'music', title, artist, album, artworkUrl, url }
+   */
+  async resolve(music) {
+    const metadata = {
+      type: 'music',
+      title: music.title,
+      artist: music.artist,
+      album: music.album,
+      trackNumber: music.trackNumber,
+      year: music.year,
+      artworkUrl: music.artworkUrl || null,
+      url: null,
+    };
+    if (metadata.artworkUrl || !this.enabled || (!music.artist && !music.album)) {
+      return metadata;
+    }
+
+    const term = [music.artist, music.album || music.title].filter(Boolean).join(' ');
+    const entity = music.album ? 'album' : 'song';
+    const cacheKey = `${entity}:${term.toLowerCase()}`;
+
+    let result = this.cache.get(cacheKey);
+    if (result === undefined) {
+      result = await this.search(term, entity);
+      // Cache misses too, but not failures - those are worth retrying on the next track
+      if (result !== undefined) this.cache.set(cacheKey, result);
+    }
+    if (result) {
+      metadata.artworkUrl = result.artworkUrl;
+      metadata.url = result.url;
+    }
+    return metadata;
+  }
+
+  /**
+   * @returns {Promise<Object|null|undefined>} { artworkUrl, url }, null when nothing matched,
+   *   undefined when the request failed
+   */
+  async search(term, entity) {
+    const params = new URLSearchParams({ term, entity, media: 'music', limit: '1' });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/search?${params}`, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const hit = data?.results?.[0];
+      if (!hit || !hit.artworkUrl100) return null;
+
+      return {
+        // iTunes serves any size by rewriting the dimensions in the URL
+        artworkUrl: hit.artworkUrl100.replace(/\d+x\d+bb/, `${this.size}x${this.size}bb`),
+        url: hit.collectionViewUrl || hit.trackViewUrl || null,
+      };
+    } catch (error) {
+      logger.debug(`Album art lookup failed for "${term}":`, error.message);
+      return undefined;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default AlbumArtResolver;
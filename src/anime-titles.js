@@ -9,6 +9,10 @@ import logger from './logger.js';
 // Map of anime titles with both Japanese and English names
 // Format: 'normalized title': { english: 'English Title', japanese: 'Japanese Title', displayFormat: 'format' }
 // Display formats: 'english-primary', 'japanese-primary', 'both'
+// Optional numbering: 'absolute' (fansub episode numbers run across seasons, e.g.
+// "One Piece - 1085") or 'seasonal' (numbers restart every season). Absolute
+// numbers are mapped through `episodeGroup` (a TMDb episode group ID) when set,
+// otherwise the show's "Absolute" episode group or its season episode counts.
 export const animeMap = {
   // Popular anime with dual titles
   'kimetsu no yaiba': { 
@@ -67,6 +71,7 @@ export const animeMap = {
   'jujutsu kaisen': { 
     english: 'Jujutsu Kaisen', 
     displayFormat: 'english-primary',
+    numbering: 'seasonal',
     specialSeasons: {
       2: 'Shibuya Incident Arc'
     }
@@ -74,7 +79,8 @@ export const animeMap = {
   'one piece': { 
     english: 'One Piece', 
     displayFormat: 'english-primary',
-    noSeasonDisplay: true // Use episode numbers only, no seasons
+    noSeasonDisplay: true, // Use episode numbers only, no seasons
+    numbering: 'absolute'
   },
   'death note': { 
     english: 'Death Note', 
@@ -89,7 +95,8 @@ export const animeMap = {
   },
   'naruto shippuden': { 
     english: 'Naruto Shippuden', 
-    displayFormat: 'english-primary' 
+    displayFormat: 'english-primary',
+    numbering: 'absolute'
   },
   'hunter x hunter': { 
     english: 'Hunter × Hunter', 
@@ -160,7 +167,8 @@ export const animeMap = {
     displayFormat: 'english-primary',
     specialSeasons: {
       17: 'Thousand-Year Blood War'
-    }
+    },
+    numbering: 'absolute'
   },
   'jojo': { 
     english: "JoJo's Bizarre Adventure", 
@@ -186,6 +194,24 @@ export const animeMap = {
   }
 };
 
+/**
+ * Find a title's entry in the anime map (exact match first, then partial)
+ * @param {string} title - Show title
+ * @returns {object|null} Anime map entry or null
+ */
+export function findAnimeInfo(title) {
+  if (!title) return null;
+  const normalizedTitle = title.toLowerCase().trim();
+  if (animeMap[normalizedTitle]) return animeMap[normalizedTitle];
+
+  for (const key of Object.keys(animeMap)) {
+    if (normalizedTitle.includes(key) || key.includes(normalizedTitle)) {
+      return animeMap[key];
+    }
+  }
+  return null;
+}
+
 /**
  * Check if a title is likely to be an anime
  * @param {string} title - The show title
@@ -246,16 +272,7 @@ export function formatAnimeTitle(showData) {
   const formattedShowData = { ...showData };
   
   // Find the anime in our map (by exact match or partial match)
-  let animeInfo = animeMap[normalizedTitle];
-  if (!animeInfo) {
-    // Try to find partial matches
-    for (const key of Object.keys(animeMap)) {
-      if (normalizedTitle.includes(key) || key.includes(normalizedTitle)) {
-        animeInfo = animeMap[key];
-        break;
-      }
-    }
-  }
+  const animeInfo = findAnimeInfo(showData.title);
   
   if (!animeInfo) {
     // If we have an original title that appears to be Japanese, format it specially
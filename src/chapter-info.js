@@ -0,0 +1,87 @@
+/**
+ * Disc and chapter awareness
+ * VLC's status.json reports the current chapter/title as 0-based indexes under
+ * `information` ({ chapter, chapters: [0, 1, ...], title, titles: [...] }) for
+ * discs and chaptered containers. Discs also report per-title names ("Title 3",
+ * "DVD Menu") that must not be treated as the movie's name.
+ */
+
+const DISC_URL = /^(dvd|dvdsimple|dvdnav|bluray|vcd|svcd):\/\//i;
+const GENERIC_DISC_NAME = /^(?:(?:title|chapter|track)\s*\d+|(?:dvd|blu-?ray|disc|root|title)?\s*menu|dvd|blu-?ray|video_ts|bdmv)$/i;
+const DEVICE_SEGMENT = /^(?:[a-z]:|sr\d+|cdrom\d*|dvd\d*|disk\d+|video_ts|bdmv|dev|media|mnt|volumes|run)$/i;
+
+/**
+ * @param {string} url - meta.url / meta.filepath
+ * @returns {boolean} true for dvd://, bluray://, vcd:// sources
+ */
+export function isDiscUrl(url) {
+  return DISC_URL.test(String(url || ''));
+}
+
+/**
+ * @param {string} name - A title VLC reported for a disc
+ * @returns {boolean} true for per-title/menu names that don't identify the disc
+ */
+export function isGenericDiscName(name) {
+  return GENERIC_DISC_NAME.test(String(name || '').trim());
+}
+
+/**
+ * Guess the disc's volume label from its URL ("dvd:///media/me/INCEPTION/#2:1" -> "INCEPTION")
+ * @param {string} url - Disc URL
+ * @returns {string|null} Label, or null when only a device path is known
+ */
+export function discLabelFromUrl(url) {
+  if (!isDiscUrl(url)) return null;
+  let path = String(url).replace(DISC_URL, '').replace(/#.*$/, '');
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // keep the raw path
+  }
+  const segments = path.split(/[\\/]/).filter(Boolean);
+  const label = [...segments].reverse().find(segment => !DEVICE_SEGMENT.test(segment));
+  return label ? label.replace(/_/g, ' ').trim() : null;
+}
+
+function countEntries(list) {
+  if (Array.isArray(list)) return list.length;
+  const count = Number(list);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+function chapterName(category, chapter) {
+  const meta = category?.meta || {};
+  const name = meta.chapter_name || meta.chapter_title;
+  if (name) return String(name);
+
+  // Some sources list names in their own category: { "Chapters": { "Chapter 7": "Dream Within a Dream" } }
+  const names = category?.Chapters || category?.chapters;
+  const entry = names?.[`Chapter ${chapter}`] ?? names?.[String(chapter)];
+  return entry ? String(entry) : null;
+}
+
+/**
+ * Pull chapter and disc title info from a status.json payload
+ * @param {Object} vlcData - status.json response
+ * @returns {Object} { chapter, chapterCount, chapterName, discTitle, discTitleCount } (1-based, null when unknown)
+ */
+export function extractChapterInfo(vlcData) {
+  const info = vlcData?.information || {};
+  const index = Number(info.chapter);
+  const chapterCount = countEntries(info.chapters);
+  const titleIndex = Number(info.title);
+  const discTitleCount = countEntries(info.titles);
+
+  // A single implicit chapter carries no information
+  const chapter = Number.isInteger(index) && index >= 0 && chapterCount > 1 ? index + 1 : null;
+  return {
+    chapter,
+    chapterCount: chapter ? chapterCount : null,
+    chapterName: chapter ? chapterName(info.category, chapter) : null,
+    discTitle: Number.isInteger(titleIndex) && titleIndex >= 0 && discTitleCount > 1 ? titleIndex + 1 : null,
+    discTitleCount: discTitleCount > 1 ? discTitleCount : null,
+  };
+}
+
+export default extractChapterInfo;
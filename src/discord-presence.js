@@ -19,6 +19,7 @@ export class DiscordPresence extends EventEmitter {
     this.maxReconnectAttempts = 10;
     this.reconnectTimeout = null;
     this.buttonWarningShown = false;  // Track if we've shown the button warning
+    this.clientListenersAttached = false;
     
     // Track last logged values to prevent duplicate logs
     this.lastLogged = {
@@ -44,6 +45,12 @@ export class DiscordPresence extends EventEmitter {
       this.reconnectTimeout = null;
     }
 
+    // disconnect() drops the client, a later initialize() (e.g. new client ID) starts fresh
+    if (!this.discordClient) {
+      this.discordClient = new DiscordClient();
+      this.clientListenersAttached = false;
+    }
+    this.attachClientListeners();
     try {
       logger.debug('Initializing Discord RPC with client ID:', this.config.clientId);
       await this.discordClient.init(this.config.clientId);
@@ -52,35 +59,51 @@ export class DiscordPresence extends EventEmitter {
       this.discordRpc = this.discordClient.client;
       this.reconnectAttempts = 0;
       this.emit('connectionUpdate', this.getConnectionStatus());
-
-      this.discordClient.on('ready', (user) => {
-        logger.info(`Discord RPC connected as ${user ? user.username : 'Unknown'}`);
-      });
-
-      this.discordClient.on('discordClientError', (errorInfo) => {
-        logger.error(formatDiscordClientErrorForConsole(errorInfo));
-        this.emit('discordClientTypeError', errorInfo);
-        this.handleDisconnect(new Error(errorInfo.message));
-      });
-
-      this.discordClient.on('error', (err) => {
-        // Check if this is a Discord client type error
-        const detectedError = detectDiscordClientError(err);
-        if (detectedError) {
-          logger.error(formatDiscordClientErrorForConsole(detectedError));
-          this.emit('discordClientTypeError', detectedError);
-        } else {
-          logger.error('Discord client error:', err);
-        }
-        this.handleDisconnect(err);
-      });
     } catch (error) {
       logger.error('Discord RPC initialization error:', error);
       this.handleDisconnect(error);
     }
   }
+
+  // Registered once: DiscordClient is reused across reconnects
+  attachClientListeners() {
+    if (this.clientListenersAttached) return;
+    this.clientListenersAttached = true;
+
+    this.discordClient.on('ready', (user) => {
+      logger.info(`Discord RPC connected as ${user ? user.username : 'Unknown'}`);
+    });
+
+    this.discordClient.on('discordClientError', (errorInfo) => {
+      logger.error(formatDiscordClientErrorForConsole(errorInfo));
+      this.emit('discordClientTypeError', errorInfo);
+      this.handleDisconnect(new Error(errorInfo.message));
+    });
+
+    this.discordClient.on('error', (err) => {
+      // Check if this is a Discord client type error
+      const detectedError = detectDiscordClientError(err);
+      if (detectedError) {
+        logger.error(formatDiscordClientErrorForConsole(detectedError));
+        this.emit('discordClientTypeError', detectedError);
+      } else {
+        logger.error('Discord client error:', err);
+      }
+      this.handleDisconnect(err);
+    });
+
+    // Discord closed the IPC pipe (quit, restart); requests would otherwise hang
+    this.discordClient.on('disconnected', () => {
+      if (this.connected) {
+        this.handleDisconnect(new Error('Discord IPC connection closed'));
+      }
+    });
+  }
   
   handleDisconnect(error) {
+    // A reconnect is already scheduled (e.g. 'disconnected' and a failed login for the same close)
+    if (this.reconnectTimeout) return;
+
     if (this.connected) {
       logger.info('Discord connection lost:', error?.message || 'Unknown reason');
     }
@@ -142,8 +165,17 @@ export class DiscordPresence extends EventEmitter {
       return;
     }
     
+    // Idle policies: show a generic activity (stopped within the grace period,
+    // or paused too long with the 'idle' action) or clear once the timeout passes
+    const idle = vlcStatus.idle;
+    const showIdle = Boolean(idle) && (idle.reason === 'stopped' ? !idle.expired : idle.expired && idle.action === 'idle');
+    if (idle?.expired && !showIdle) {
+      if (this.lastActivity) this.clearPresence();
+      return;
+    }
+
     // Don't update if nothing is playing
-    if (!vlcStatus.title) {
+    if (!vlcStatus.title && !showIdle) {
       this.clearPresence();
       return;
     }
@@ -153,7 +185,9 @@ export class DiscordPresence extends EventEmitter {
     const timeSinceLastUpdate = now - this.lastUpdateTime;
     
     // Define important changes that bypass rate limits
-    const playStateChanged = !this.lastActivity || (this.lastActivity.playing !== vlcStatus.playing);
+    const playStateChanged = !this.lastActivity || (this.lastActivity.playing !== vlcStatus.playing) ||
+      (this.lastActivity.idle !== (showIdle ? idle.reason : null)) ||
+      (this.lastActivity.rate !== (vlcStatus.rate || 1)); // timestamps are wrong until re-synced
     const titleChanged = !this.lastActivity || (this.lastActivity.title !== vlcStatus.title);
     const metadataChanged = !this.lastActivity || (
       (vlcStatus.metadata?.id !== this.lastActivity.metadataId) || 
@@ -204,11 +238,13 @@ export class DiscordPresence extends EventEmitter {
           // Convert to milliseconds for discord-rpc
           // Handle elapsed time properly (never negative)
           const elapsed = Math.max(0, vlcStatus.elapsed);
-          startTimestamp = (Math.floor(currentTime / 1000) - elapsed) * 1000;
+          // Media time passes `rate` times faster than wall-clock time
+          const rate = vlcStatus.rate > 0 ? vlcStatus.rate : 1;
+          startTimestamp = Math.round((Math.floor(currentTime / 1000) - elapsed / rate) * 1000);
           
           // Make sure length is valid and greater than elapsed time
           if (vlcStatus.length > elapsed) {
-            endTimestamp = (startTimestamp / 1000 + vlcStatus.length) * 1000;
+            endTimestamp = Math.round((Math.floor(currentTime / 1000) + (vlcStatus.length - elapsed) / rate) * 1000);
           }
         } catch (timeError) {
           logger.error('Error calculating timestamps:', timeError);
@@ -219,7 +255,24 @@ export class DiscordPresence extends EventEmitter {
       // Create activity object based on available data
       let activity = {};
       
-      if (vlcStatus.metadata) {
+      if (showIdle) {
+        activity = presenceBuilder.createIdleActivity(idle);
+        startTimestamp = idle.since;
+      } else if (vlcStatus.mediaType === 'radio') {
+        // Ignore metadata left over from the previous song
+        const metadata = vlcStatus.metadata?.type === 'radio' && vlcStatus.metadata.title === vlcStatus.stream?.title
+          ? vlcStatus.metadata
+          : {};
+        activity = presenceBuilder.createRadioActivity({ ...(vlcStatus.stream || {}), ...metadata }, vlcStatus);
+      } else if (vlcStatus.mediaType === 'music') {
+        // Tags from the file, enriched with album art when the lookup succeeded
+        activity = presenceBuilder.createMusicActivity(
+          { ...(vlcStatus.music || {}), ...(vlcStatus.metadata || {}) },
+          vlcStatus,
+          startTimestamp,
+          endTimestamp
+        );
+      } else if (vlcStatus.metadata) {
         if (vlcStatus.metadata.type === 'movie') {
           activity = presenceBuilder.createMovieActivity(vlcStatus.metadata, vlcStatus, startTimestamp, endTimestamp);
         } else if (vlcStatus.metadata.type === 'tv') {
@@ -231,6 +284,14 @@ export class DiscordPresence extends EventEmitter {
       } else {
         activity = presenceBuilder.createBasicActivity(vlcStatus, startTimestamp, endTimestamp);
       }
+      if (!showIdle) {
+        presenceBuilder.addPlaylistInfo(activity, vlcStatus);
+        presenceBuilder.addTechnicalInfo(activity, vlcStatus);
+        if (this.config.showChapters) {
+          presenceBuilder.addChapterInfo(activity, vlcStatus);
+        }
+        presenceBuilder.addRateInfo(activity, vlcStatus);
+      }
       
       // IMPORTANT: For Discord's RPC, we need to structure this correctly for a "Watching" activity
       const rpcActivity = {
@@ -282,7 +343,7 @@ export class DiscordPresence extends EventEmitter {
         } else if (activity.buttons.length > 0) {
           logger.warn('Buttons were provided but none were valid:', JSON.stringify(activity.buttons));
         }
-      } else if (vlcStatus.metadata?.tmdbUrl) {
+      } else if (vlcStatus.metadata?.tmdbUrl && !showIdle) {
         // Fallback for TMDb URL if no buttons were set but metadata has URL
         rpcActivity.buttons = [
           { label: 'View on TMDb', url: vlcStatus.metadata.tmdbUrl }
@@ -368,8 +429,8 @@ export class DiscordPresence extends EventEmitter {
         assets: rpcActivity.assets || {},
         instance: false,
         
-        // Activity type (3 = Watching)
-        type: 3,
+        // Activity type (3 = Watching, 2 = Listening)
+        type: activity.type ?? 3,
       };
       
       // Add buttons in the correct format
@@ -387,7 +448,7 @@ export class DiscordPresence extends EventEmitter {
         })).slice(0, 2); // Maximum 2 buttons allowed by Discord
       } 
       // Special fallback for TMDb links
-      else if (vlcStatus.metadata?.tmdbUrl) {
+      else if (vlcStatus.metadata?.tmdbUrl && !showIdle) {
         directActivity.buttons = [
           { 
             label: 'View on TMDb', 
@@ -406,10 +467,11 @@ export class DiscordPresence extends EventEmitter {
           timestamps: directActivity.timestamps,
           assets: directActivity.assets,
           buttons: directActivity.buttons,
+          party: activity.partySize ? { size: [activity.partySize, activity.partyMax] } : undefined,
           instance: true,
           application_id: this.config.clientId,
           flags: 1 << 0,
-          type: 3,
+          type: directActivity.type,
         }
       };
 
@@ -441,6 +503,8 @@ export class DiscordPresence extends EventEmitter {
         position: vlcStatus.position,
         metadataId: vlcStatus.metadata?.id,
         metadataType: vlcStatus.metadata?.type,
+        idle: showIdle ? idle.reason : null,
+        rate: vlcStatus.rate || 1,
       };
       // Activity updated successfully
       
@@ -492,6 +556,8 @@ export class DiscordPresence extends EventEmitter {
       
       if (this.connected && this.discordClient) {
         await this.clearPresence();
+        // Intentional close: don't let the 'disconnected' event schedule a reconnect
+        this.connected = false;
         await this.discordClient.destroy();
       }
     } catch (error) {
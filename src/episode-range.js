@@ -0,0 +1,59 @@
+/**
+ * Multi-episode files
+ * Releases that pack several episodes into one file name them with a range
+ * ("S01E01-E03", "S01E01E02", "1x01-02"). The parsers find the first episode,
+ * these helpers read the rest of the range and render it.
+ */
+
+// What may follow the first episode: "-E03", "-03", " - E03", "E02", ".E02" (repeatable);
+// "-720p" is a resolution tag, not an episode
+const RANGE_TAIL = /^(?:(?:-e?|[\s._]*-[\s._]*e|[\s._]?e)\d{1,3}(?![\dp]))+/i;
+
+// Files rarely pack more episodes than this, a bigger span is some other number
+const MAX_RANGE_SPAN = 10;
+
+/**
+ * Read the end of an episode range
+ * @param {string} rest - Text right after the first episode marker ("-e03.title.mkv")
+ * @param {number} episode - First episode
+ * @returns {Object|null} { end, text } where text is the matched range suffix, or null
+ */
+export function matchEpisodeRange(rest, episode) {
+  const match = String(rest || '').match(RANGE_TAIL);
+  if (!match) return null;
+
+  const end = parseInt(match[0].match(/(\d+)$/)[1], 10);
+  return end > episode && end - episode <= MAX_RANGE_SPAN ? { end, text: match[0] } : null;
+}
+
+/**
+ * Episode code for a single episode or a range
+ * @param {number} season - Season number (0 for specials)
+ * @param {number} episode - (First) episode number
+ * @param {number|null} episodeEnd - Last episode of a range
+ * @returns {string} "S01E01", "S01E01–E03" or "Special"
+ */
+export function formatEpisodeCode(season, episode, episodeEnd = null) {
+  if (season === 0) return 'Special';
+  const pad = (value) => String(value).padStart(2, '0');
+  const code = `S${pad(season)}E${pad(episode)}`;
+  return episodeEnd > episode ? `${code}–E${pad(episodeEnd)}` : code;
+}
+
+/**
+ * Combine the titles of a range for display
+ * All titles when they fit, otherwise the first one plus a count.
+ * @param {Array<string>} titles - Episode titles in order
+ * @param {number} maxLength - Longest combined text to show (default 60)
+ * @returns {string|null} "Pilot / Second / Third", "Pilot +2 more" or null without titles
+ */
+export function formatEpisodeTitles(titles, maxLength = 60) {
+  const named = (titles || []).filter(Boolean);
+  if (named.length === 0) return null;
+
+  const combined = named.join(' / ');
+  if (named.length === 1 || combined.length <= maxLength) return combined;
+  return `${named[0]} +${named.length - 1} more`;
+}
+
+export default matchEpisodeRange;
@@ -0,0 +1,255 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import net from 'net';
+
+export const OPCODES = {
+  HANDSHAKE: 0,
+  FRAME: 1,
+  CLOSE: 2,
+  PING: 3,
+  PONG: 4,
+};
+
+/**
+ * IPC socket path Discord listens on (same lookup as discord-rpc's IPC transport)
+ * @param {number} id - Pipe number 0-9
+ * @param {string} dir - Directory override (default: XDG_RUNTIME_DIR, TMPDIR, TMP, TEMP or /tmp)
+ * @returns {string} Socket path / named pipe
+ */
+export function getIPCPath(id = 0, dir = null) {
+  if (process.platform === 'win32') {
+    return `\\\\?\\pipe\\discord-ipc-${id}`;
+  }
+  const { XDG_RUNTIME_DIR, TMPDIR, TMP, TEMP } = process.env;
+  const prefix = dir || XDG_RUNTIME_DIR || TMPDIR || TMP || TEMP || '/tmp';
+  return `${prefix.replace(/\/$/, '')}/discord-ipc-${id}`;
+}
+
+/**
+ * Frame a message: int32LE opcode, int32LE byte length, JSON body
+ */
+export function encodeFrame(op, data) {
+  const body = Buffer.from(JSON.stringify(data));
+  const header = Buffer.alloc(8);
+  header.writeInt32LE(op, 0);
+  header.writeInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Fake Discord desktop client
+ * Listens on `discord-ipc-N`, answers the handshake with a READY dispatch and
+ * acknowledges commands like Discord does, so DiscordClient/DiscordPresence can
+ * run end-to-end without Discord. Every SET_ACTIVITY is recorded in `activities`.
+ *
+ * Failure simulation:
+ * - disconnectAll(): drop every client socket (Discord quit/crashed)
+ * - failNext(cmd, error): answer the next `cmd` request with an ERROR event
+ * - rejectHandshake: close new connections with "Invalid Client ID"
+ *
+ * Events: 'handshake' ({ clientId }), 'request' (frame), 'activity' (record), 'disconnect'
+ */
+export class FakeDiscordIPC extends EventEmitter {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.id - Pipe number (default 0)
+   * @param {string} options.dir - Socket directory (default: same lookup as discord-rpc)
+   * @param {Object} options.user - User reported in READY
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || 0;
+    this.socketPath = getIPCPath(this.id, options.dir);
+    this.user = options.user || { id: '100000000000000001', username: 'vlcord-test', discriminator: '0', avatar: null };
+    this.rejectHandshake = false;
+    this.server = null;
+    this.sockets = new Set();
+    this.failures = [];
+
+    this.handshakes = [];
+    this.requests = [];
+    this.activities = [];
+  }
+
+  /**
+   * Start listening
+   * Refuses to take over a socket a real Discord is listening on.
+   * @returns {Promise<string>} Socket path
+   */
+  async listen() {
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      if (await isListening(this.socketPath)) {
+        const error = new Error(`Something is already listening on ${this.socketPath}`);
+        error.code = 'EADDRINUSE';
+        throw error;
+      }
+      fs.unlinkSync(this.socketPath); // stale socket left by a crashed client
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, resolve);
+    });
+    return this.socketPath;
+  }
+
+  /**
+   * Drop all clients and stop listening
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.disconnectAll();
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * Simulate Discord going away: close every client connection
+   */
+  disconnectAll() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    this.sockets.clear();
+  }
+
+  /**
+   * Answer the next request for `cmd` with an ERROR event
+   * @param {string} cmd - RPC command, e.g. 'SET_ACTIVITY'
+   * @param {Object} error - { code, message } (default 4000 "Invalid payload")
+   */
+  failNext(cmd, error = {}) {
+    this.failures.push({ cmd, code: error.code ?? 4000, message: error.message || 'Invalid payload' });
+  }
+
+  /**
+   * Resolve with the next recorded SET_ACTIVITY
+   * @param {number} timeout - Give up after this many ms (default 2000)
+   * @returns {Promise<Object>} Activity record
+   */
+  nextActivity(timeout = 2000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off('activity', onActivity);
+        reject(new Error('No SET_ACTIVITY received'));
+      }, timeout);
+      const onActivity = (record) => {
+        clearTimeout(timer);
+        resolve(record);
+      };
+      this.once('activity', onActivity);
+    });
+  }
+
+  /**
+   * Last activity set (null after a clear)
+   */
+  get currentActivity() {
+    const last = this.activities[this.activities.length - 1];
+    return last ? last.activity : null;
+  }
+
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    const state = { buffer: Buffer.alloc(0), clientId: null };
+
+    socket.on('data', (chunk) => {
+      state.buffer = Buffer.concat([state.buffer, chunk]);
+      while (state.buffer.length >= 8) {
+        const op = state.buffer.readInt32LE(0);
+        const length = state.buffer.readInt32LE(4);
+        if (state.buffer.length < 8 + length) break;
+
+        const body = state.buffer.subarray(8, 8 + length).toString('utf8');
+        state.buffer = state.buffer.subarray(8 + length);
+        let data = null;
+        try {
+          data = JSON.parse(body);
+        } catch {
+          socket.write(encodeFrame(OPCODES.CLOSE, { code: 4000, message: 'Payload not valid JSON' }));
+          socket.end();
+          return;
+        }
+        this.handleFrame(socket, state, op, data);
+      }
+    });
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      this.emit('disconnect', { clientId: state.clientId });
+    });
+    socket.on('error', () => {
+      // Clients may vanish mid-write; 'close' follows
+    });
+  }
+
+  handleFrame(socket, state, op, data) {
+    switch (op) {
+      case OPCODES.HANDSHAKE:
+        state.clientId = data?.client_id || null;
+        this.handshakes.push({ clientId: state.clientId, version: data?.v });
+        if (this.rejectHandshake || !state.clientId) {
+          socket.write(encodeFrame(OPCODES.CLOSE, { code: 4000, message: 'Invalid Client ID' }));
+          socket.end();
+          return;
+        }
+        this.emit('handshake', { clientId: state.clientId });
+        socket.write(encodeFrame(OPCODES.FRAME, {
+          cmd: 'DISPATCH',
+          evt: 'READY',
+          data: { v: 1, config: { cdn_host: 'cdn.discordapp.com', api_endpoint: '//discord.com/api', environment: 'production' }, user: this.user },
+          nonce: null,
+        }));
+        break;
+      case OPCODES.FRAME:
+        this.handleCommand(socket, state, data);
+        break;
+      case OPCODES.PING:
+        socket.write(encodeFrame(OPCODES.PONG, data));
+        break;
+      case OPCODES.CLOSE:
+        socket.end();
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleCommand(socket, state, frame) {
+    const { cmd, args, nonce } = frame || {};
+    this.requests.push({ at: Date.now(), clientId: state.clientId, cmd, args });
+    this.emit('request', frame);
+
+    const failureIndex = this.failures.findIndex(failure => failure.cmd === cmd);
+    if (failureIndex !== -1) {
+      const [failure] = this.failures.splice(failureIndex, 1);
+      socket.write(encodeFrame(OPCODES.FRAME, { cmd, evt: 'ERROR', data: { code: failure.code, message: failure.message }, nonce }));
+      return;
+    }
+
+    let data = {};
+    if (cmd === 'SET_ACTIVITY') {
+      // An empty activity clears the presence
+      const activity = args?.activity && Object.keys(args.activity).length > 0 ? args.activity : null;
+      const record = { at: Date.now(), clientId: state.clientId, pid: args?.pid, activity };
+      this.activities.push(record);
+      this.emit('activity', record);
+      data = activity ? { ...activity, application_id: state.clientId } : null;
+    }
+    socket.write(encodeFrame(OPCODES.FRAME, { cmd, evt: null, data, nonce }));
+  }
+}
+
+function isListening(socketPath) {
+  return new Promise(resolve => {
+    const probe = net.createConnection(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+}
+
+export default FakeDiscordIPC;
@@ -0,0 +1,116 @@
+/**
+ * Folder rules
+ * Map a path prefix or glob to a TMDb entry, for badly named files in
+ * well-organized folders. Rules live in the overrides store's `folderRules`
+ * category, keyed by pattern:
+ *
+ *   "/media/anime/Frieren/**": { "tmdbId": 209867, "mediaType": "tv", "episodeRegex": " - (\\d+) " }
+ *   "/media/movies/Heat (1995)": { "tmdbId": 949, "mediaType": "movie" }
+ *
+ * Patterns match case-insensitively (the store lowercases keys). `*` matches
+ * within one folder, `**` across folders, `?` one character; a pattern
+ * without wildcards matches the folder and everything below it.
+ */
+
+import path from 'path';
+import { toLocalPath } from './nfo-reader.js';
+import logger from './logger.js';
+
+const normalizePath = (value) => String(value).replace(/\\/g, '/').toLowerCase();
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "/**/" also matches a single "/"
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a rule pattern covers a file
+ * @param {string} pattern - Path prefix or glob
+ * @param {string} filePath - Local media path
+ * @returns {boolean} True on match
+ */
+export function matchesPathPattern(pattern, filePath) {
+  if (!pattern || !filePath) return false;
+  const target = normalizePath(filePath);
+  const rule = normalizePath(pattern).replace(/\/+$/, '');
+
+  if (/[*?]/.test(rule)) {
+    return globToRegExp(rule).test(target);
+  }
+  return target === rule || target.startsWith(`${rule}/`);
+}
+
+/**
+ * Find the most specific rule for a file
+ * Longer patterns win, so a rule for one season beats a rule for the whole show.
+ * @param {Object} rules - { pattern: rule } from the overrides store
+ * @param {string} location - Media path or file:// URL
+ * @returns {Object|null} { pattern, rule } or null
+ */
+export function findFolderRule(rules, location) {
+  const filePath = toLocalPath(location);
+  if (!rules || !filePath) return null;
+
+  let best = null;
+  for (const [pattern, rule] of Object.entries(rules)) {
+    if (!rule?.tmdbId || !matchesPathPattern(pattern, filePath)) continue;
+    if (!best || pattern.length > best.pattern.length) {
+      best = { pattern, rule };
+    }
+  }
+  return best;
+}
+
+/**
+ * Turn a matched rule into lookup parameters
+ * @param {Object} rule - { tmdbId, mediaType, seasonOffset, episodeRegex }
+ * @param {Object} lookupInfo - Parsed lookup info (season/episode from the file name)
+ * @returns {Object} { ids, mediaType, season, episode }
+ */
+export function applyFolderRule(rule, lookupInfo) {
+  const mediaType = rule.mediaType || lookupInfo.mediaType || 'movie';
+  let season = lookupInfo.season ?? null;
+  let episode = lookupInfo.episode ?? null;
+
+  if (rule.episodeRegex) {
+    const filePath = toLocalPath(lookupInfo.filePath);
+    const name = filePath ? path.basename(filePath) : '';
+    try {
+      const match = name.match(new RegExp(rule.episodeRegex, 'i'));
+      const value = match && (match.groups?.episode ?? match[1]);
+      if (value !== undefined && value !== null) {
+        episode = parseInt(value, 10);
+        if (match.groups?.season !== undefined) season = parseInt(match.groups.season, 10);
+      }
+    } catch (error) {
+      logger.warn(`Invalid episodeRegex in folder rule: ${error.message}`);
+    }
+  }
+
+  if (mediaType !== 'movie' && episode !== null) {
+    season = (season ?? 1) + (Number(rule.seasonOffset) || 0);
+  }
+
+  return {
+    ids: { tmdb: String(rule.tmdbId), imdb: null, tvdb: null },
+    mediaType,
+    season,
+    episode,
+  };
+}
+
+export default findFolderRule;
@@ -0,0 +1,64 @@
+/**
+ * ID tags in file and folder names
+ * Jellyfin/Plex/Emby naming puts provider IDs in paths:
+ *   Movie (2019) [tmdbid-12345]
+ *   The Shawshank Redemption {imdb-tt0111161}
+ *   Show [tvdbid-81189]/Season 01/Show S01E01.mkv
+ * They identify the title exactly, so they're used instead of the cleaned title.
+ */
+
+const ID_TAG = /[[{]\s*(tmdb|imdb|tvdb)(?:id)?\s*[-=]\s*(tt\d{7,}|\d+)\s*[\]}]/gi;
+
+/**
+ * Extract provider IDs from a name
+ * @param {string} name - File or folder name
+ * @returns {Object|null} { tmdb, imdb, tvdb } or null when the name has no tags
+ */
+export function extractIdTags(name) {
+  if (!name || typeof name !== 'string') return null;
+  const ids = { tmdb: null, imdb: null, tvdb: null };
+  let found = false;
+
+  for (const [, provider, value] of name.matchAll(ID_TAG)) {
+    const key = provider.toLowerCase();
+    // IMDb IDs always start with "tt"; the others are plain numbers
+    if ((key === 'imdb') !== value.toLowerCase().startsWith('tt')) continue;
+    if (!ids[key]) {
+      ids[key] = value.toLowerCase();
+      found = true;
+    }
+  }
+  return found ? ids : null;
+}
+
+/**
+ * Remove ID tags so they don't end up in the cleaned title
+ * @param {string} name - File or folder name
+ * @returns {string} Name without tags
+ */
+export function stripIdTags(name) {
+  if (!name || typeof name !== 'string') return name;
+  return name.replace(ID_TAG, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Collect IDs from a media path
+ * The file name wins; parent and grandparent folders fill in what it lacks
+ * (the show's ID usually sits on the show folder, above "Season 01").
+ * @param {Array<string>} names - File name first, then folders from nearest to farthest
+ * @returns {Object|null} { tmdb, imdb, tvdb } or null
+ */
+export function extractPathIds(names) {
+  let ids = null;
+  for (const name of names) {
+    const tags = extractIdTags(name);
+    if (!tags) continue;
+    ids = ids || { tmdb: null, imdb: null, tvdb: null };
+    for (const key of Object.keys(ids)) {
+      ids[key] = ids[key] || tags[key];
+    }
+  }
+  return ids;
+}
+
+export default extractIdTags;
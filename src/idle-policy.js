@@ -0,0 +1,62 @@
+/**
+ * Idle policies for paused or abandoned playback
+ * - pausedTimeout / pausedAction: after N ms paused, clear the presence or
+ *   switch to a generic "Idle in VLC" activity
+ * - stoppedTimeout: keep an idle activity for N ms after playback stops on an
+ *   item, then clear (0 clears as soon as playback stops)
+ */
+
+export const IDLE_ACTIONS = ['clear', 'idle'];
+
+/**
+ * Normalize idle settings
+ * @param {Object} config - { pausedTimeout, pausedAction, stoppedTimeout } (timeouts in ms)
+ * @returns {Object} Policy with defaults applied (0 disables a timeout)
+ */
+export function normalizeIdlePolicy(config = {}) {
+  const timeout = (value) => (Number(value) > 0 ? Number(value) : 0);
+  return {
+    pausedTimeout: timeout(config.pausedTimeout),
+    pausedAction: IDLE_ACTIONS.includes(config.pausedAction) ? config.pausedAction : 'clear',
+    stoppedTimeout: timeout(config.stoppedTimeout),
+  };
+}
+
+/**
+ * Where a status stands against the idle policy
+ * @param {Object} status - Status with pausedSince/stoppedSince timestamps
+ * @param {Object} policy - Normalized policy
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} { reason: 'paused'|'stopped', since, action, expiresAt, remaining, expired } or null
+ */
+export function evaluateIdle(status, policy, now = Date.now()) {
+  if (!status?.connected) return null;
+
+  let reason = null;
+  let since = null;
+  let timeout = 0;
+  let action = 'clear';
+  if (status.paused && status.pausedSince && policy.pausedTimeout > 0) {
+    reason = 'paused';
+    since = status.pausedSince;
+    timeout = policy.pausedTimeout;
+    action = policy.pausedAction;
+  } else if (!status.playing && !status.paused && status.stoppedSince && policy.stoppedTimeout > 0) {
+    reason = 'stopped';
+    since = status.stoppedSince;
+    timeout = policy.stoppedTimeout;
+  }
+  if (!reason) return null;
+
+  const expiresAt = since + timeout;
+  return {
+    reason,
+    since,
+    action,
+    expiresAt,
+    remaining: Math.max(0, expiresAt - now),
+    expired: now >= expiresAt,
+  };
+}
+
+export default evaluateIdle;
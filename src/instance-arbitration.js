@@ -0,0 +1,49 @@
+/**
+ * Arbitration policies deciding which of several player instances drives Discord
+ */
+
+export const ARBITRATION_POLICIES = ['playing-first', 'most-recent', 'priority'];
+
+/**
+ * Rank used by the policies: playing beats paused beats idle/disconnected
+ * @param {Object} status - Instance status
+ * @returns {number} 2 = playing, 1 = paused, 0 = otherwise
+ */
+function stateRank(status) {
+  if (!status || !status.connected) return 0;
+  if (status.playing) return 2;
+  if (status.paused) return 1;
+  return 0;
+}
+
+/**
+ * Pick the instance that should drive Discord
+ * @param {Array<Object>} entries - [{ id, priority, startedAt, status }] in config order
+ * @param {string} policy - 'playing-first', 'most-recent' or 'priority'
+ * @returns {string|null} Winning instance id, or null when there are no entries
+ */
+export function selectActiveInstance(entries, policy = 'playing-first') {
+  if (!entries || entries.length === 0) return null;
+
+  const byState = (a, b) => stateRank(b.status) - stateRank(a.status);
+  const byRecent = (a, b) => (b.startedAt || 0) - (a.startedAt || 0);
+  const byPriority = (a, b) => (b.priority || 0) - (a.priority || 0);
+  const hasMedia = (e) => stateRank(e.status) > 0;
+
+  const comparators = {
+    'playing-first': [byState, byRecent, byPriority],
+    // Only instances with media loaded compete on start time, idle ones sort last
+    'most-recent': [(a, b) => Number(hasMedia(b)) - Number(hasMedia(a)), byRecent, byState, byPriority],
+    'priority': [(a, b) => Number(hasMedia(b)) - Number(hasMedia(a)), byPriority, byState, byRecent],
+  }[policy] || [byState, byRecent, byPriority];
+
+  // Array.prototype.sort is stable, so config order breaks remaining ties
+  const ranked = [...entries].sort((a, b) => {
+    for (const compare of comparators) {
+      const diff = compare(a, b);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  });
+  return ranked[0].id;
+}
@@ -0,0 +1,258 @@
+/**
+ * Kodi backend - polls Kodi's JSON-RPC interface over HTTP
+ * Enable it in Kodi under Settings > Services > Control > "Allow remote control via HTTP"
+ */
+
+import axios from 'axios';
+import { PlayerAdapter } from './player-adapter.js';
+import { parseVLCStatus } from './vlc-parser.js';
+
+const ITEM_PROPERTIES = ['title', 'showtitle', 'season', 'episode', 'year', 'file', 'uniqueid', 'imdbnumber', 'tvshowid'];
+const PLAYER_PROPERTIES = ['time', 'totaltime', 'percentage', 'speed'];
+
+export class KodiAdapter extends PlayerAdapter {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.kodiHost - Kodi host (falls back to config.host)
+   * @param {number} config.kodiPort - Kodi web server port (default 8080)
+   * @param {string} config.kodiUsername - Web server username (default 'kodi')
+   * @param {string} config.kodiPassword - Web server password
+   */
+  constructor(config = {}) {
+    super(config, 'kodi');
+    this.host = config.kodiHost || config.host || 'localhost';
+    this.port = config.kodiPort || 8080;
+    this.username = config.kodiUsername || 'kodi';
+    this.password = config.kodiPassword || '';
+    this.requestId = 0;
+    // TV show IDs rarely change, avoid re-querying the library on every poll
+    this.showCache = new Map();
+  }
+
+  /**
+   * Call a Kodi JSON-RPC method
+   * @param {string} method - e.g. 'Player.GetItem'
+   * @param {Object} params - Method parameters
+   * @returns {Promise<*>} The `result` member of the response
+   */
+  async call(method, params = {}) {
+    const response = await axios.post(
+      `http://${this.host}:${this.port}/jsonrpc`,
+      { jsonrpc: '2.0', method, params, id: ++this.requestId },
+      {
+        auth: { username: this.username, password: this.password },
+        timeout: 3000,
+      }
+    );
+
+    if (response.data?.error) {
+      const err = new Error(`Kodi JSON-RPC error in ${method}: ${response.data.error.message}`);
+      err.code = response.data.error.code;
+      throw err;
+    }
+    return response.data?.result;
+  }
+
+  async fetchStatus() {
+    const players = (await this.call('Player.GetActivePlayers')) || [];
+    const player = players.find(p => p.type === 'video') || players[0];
+    if (!player) {
+      return { player: null, item: null, properties: null, show: null };
+    }
+
+    const [itemResult, properties] = await Promise.all([
+      this.call('Player.GetItem', { playerid: player.playerid, properties: ITEM_PROPERTIES }),
+      this.call('Player.GetProperties', { playerid: player.playerid, properties: PLAYER_PROPERTIES }),
+    ]);
+    const item = itemResult?.item || null;
+
+    // Episode uniqueids identify the episode, the show's IDs live on the TV show entry
+    let show = null;
+    if (item && item.type === 'episode' && item.tvshowid > 0) {
+      show = await this.getShowDetails(item.tvshowid);
+    }
+
+    return { player, item, properties, show };
+  }
+
+  async getShowDetails(tvshowid) {
+    if (this.showCache.has(tvshowid)) {
+      return this.showCache.get(tvshowid);
+    }
+    try {
+      const result = await this.call('VideoLibrary.GetTVShowDetails', {
+        tvshowid,
+        properties: ['title', 'uniqueid', 'imdbnumber', 'year'],
+      });
+      const show = result?.tvshowdetails || null;
+      this.showCache.set(tvshowid, show);
+      return show;
+    } catch {
+      return null;
+    }
+  }
+
+  async sendControl(action, value) {
+    if (action === 'volume') {
+      let volume = value.amount;
+      if (value.mode === 'relative') {
+        const current = await this.call('Application.GetProperties', { properties: ['volume'] });
+        volume = (current?.volume || 0) + value.amount;
+      }
+      // Kodi's volume tops out at 100
+      await this.call('Application.SetVolume', { volume: Math.max(0, Math.min(100, Math.round(volume))) });
+      return;
+    }
+
+    const players = (await this.call('Player.GetActivePlayers')) || [];
+    const player = players.find(p => p.type === 'video') || players[0];
+    if (!player) {
+      throw new Error('Nothing is playing in Kodi');
+    }
+    const { playerid } = player;
+
+    switch (action) {
+      case 'pause':
+        await this.call('Player.PlayPause', { playerid, play: false });
+        break;
+      case 'play':
+        await this.call('Player.PlayPause', { playerid, play: true });
+        break;
+      case 'next':
+      case 'previous':
+        await this.call('Player.GoTo', { playerid, to: action });
+        break;
+      case 'seek':
+        await this.call('Player.Seek', { playerid, value: toKodiSeekValue(value) });
+        break;
+      default:
+        throw new Error(`Unsupported control action "${action}"`);
+    }
+  }
+
+  normalizeStatus(raw) {
+    const status = parseVLCStatus(toVLCStatusJson(raw));
+    const { item, show } = raw || {};
+    if (!item || (!status.playing && !status.paused)) {
+      return status;
+    }
+
+    // Kodi already identified the item, prefer its library info over filename parsing
+    const mediaInfo = { ...(status.mediaInfo || {}) };
+    if (item.type === 'episode' && item.showtitle) {
+      status.mediaType = 'tv';
+      status.title = item.showtitle;
+      mediaInfo.type = 'tv';
+      mediaInfo.title = item.showtitle;
+      mediaInfo.showTitle = item.showtitle;
+      if (item.season >= 0 && item.episode > 0) {
+        status.season = item.season;
+        status.episode = item.episode;
+        mediaInfo.season = item.season;
+        mediaInfo.episode = item.episode;
+      }
+      if (item.title) {
+        status.episodeTitle = item.title;
+        mediaInfo.episodeTitle = item.title;
+      }
+      status.ids = extractIds(show);
+    } else if (item.type === 'movie' && item.title) {
+      status.mediaType = 'movie';
+      status.title = item.title;
+      mediaInfo.type = 'movie';
+      mediaInfo.title = item.title;
+      if (item.year) {
+        status.year = item.year;
+        mediaInfo.year = item.year;
+      }
+      status.ids = extractIds(item);
+    }
+
+    if (status.ids) {
+      status.idSource = 'kodi';
+    }
+    status.cleanTitle = status.title;
+    status.titleForLookup = status.title;
+    status.mediaInfo = mediaInfo;
+    return status;
+  }
+}
+
+/**
+ * Pull TMDb/IMDb/TVDB IDs from a Kodi library entry
+ * @param {Object|null} entry - Kodi movie or TV show details
+ * @returns {Object|null} { tmdb, imdb, tvdb } or null when no ID is known
+ */
+export function extractIds(entry) {
+  if (!entry) return null;
+  const unique = entry.uniqueid || {};
+  const ids = {
+    tmdb: unique.tmdb || null,
+    imdb: unique.imdb || (/^tt\d+$/.test(entry.imdbnumber || '') ? entry.imdbnumber : null),
+    tvdb: unique.tvdb || null,
+  };
+  return ids.tmdb || ids.imdb || ids.tvdb ? ids : null;
+}
+
+function toSeconds(time) {
+  if (!time) return 0;
+  return (time.hours || 0) * 3600 + (time.minutes || 0) * 60 + (time.seconds || 0) + (time.milliseconds || 0) / 1000;
+}
+
+/**
+ * Map a normalized seek value onto Kodi's Player.Seek value
+ * @param {{mode: string, amount: number}} value - Normalized seek value
+ * @returns {Object} { percentage }, { seconds } (relative) or { time }
+ */
+export function toKodiSeekValue(value) {
+  if (value.mode === 'percent') {
+    return { percentage: value.amount };
+  }
+  if (value.mode === 'relative') {
+    return { seconds: Math.round(value.amount) };
+  }
+  const total = Math.max(0, Math.round(value.amount));
+  return {
+    time: {
+      hours: Math.floor(total / 3600),
+      minutes: Math.floor((total % 3600) / 60),
+      seconds: total % 60,
+      milliseconds: 0,
+    },
+  };
+}
+
+/**
+ * Convert a Kodi poll result into VLC's status.json layout
+ * @param {Object} raw - Result of KodiAdapter.fetchStatus()
+ * @returns {Object} status.json-shaped object
+ */
+export function toVLCStatusJson(raw = {}) {
+  const { item, properties } = raw;
+  if (!item || !properties) {
+    return { state: 'stopped' };
+  }
+
+  const meta = {};
+  if (item.file) {
+    meta.filepath = item.file;
+    meta.filename = item.file.split(/[\\/]/).pop();
+  }
+  if (item.title || item.label) {
+    meta.title = item.title || item.label;
+  }
+
+  return {
+    state: properties.speed === 0 ? 'paused' : 'playing',
+    time: toSeconds(properties.time),
+    length: toSeconds(properties.totaltime),
+    position: Number.isFinite(properties.percentage) ? properties.percentage / 100 : 0,
+    // Kodi reports speed 0 while paused and negative speeds while rewinding
+    rate: properties.speed > 0 ? properties.speed : 1,
+    information: {
+      category: { meta },
+    },
+  };
+}
+
+export default KodiAdapter;
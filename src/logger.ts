@@ -4,12 +4,8 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import type { LogEntry } from './types.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 interface LoggerConfig {
   level: 'debug' | 'info' | 'warn' | 'error';
   format: 'text' | 'json';
@@ -7,7 +7,7 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import logger from './logger.js';
-import { VLCMonitor } from './vlc-monitor.js';
+import { VLCInstanceManager } from './vlc-instance-manager.js';
 import { DiscordPresence } from './discord-presence.js';
 import { ConfigManager } from './config-manager.js';
 import client from 'prom-client';
@@ -69,6 +69,27 @@ const VLC_PORT = process.env.VLC_PORT || config.vlcPort;
 const VLC_PASSWORD = process.env.VLC_PASSWORD || config.vlcPassword;
 const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID || config.discordClientId;
 const TMDB_API_KEY = process.env.TMDB_API_KEY || config.tmdbApiKey;
+const PLAYER_BACKEND = process.env.PLAYER_BACKEND || config.playerBackend || 'vlc';
+const MPV_SOCKET = process.env.MPV_SOCKET || config.mpvSocket;
+const KODI_HOST = process.env.KODI_HOST || config.kodiHost;
+const KODI_PORT = process.env.KODI_PORT || config.kodiPort;
+const KODI_USERNAME = process.env.KODI_USERNAME || config.kodiUsername;
+const KODI_PASSWORD = process.env.KODI_PASSWORD || config.kodiPassword;
+const VLC_ARBITRATION = process.env.VLC_ARBITRATION || config.vlcArbitration || 'playing-first';
+
+// Optional list of player endpoints, e.g. VLC_INSTANCES='[{"id":"desktop","host":"localhost","port":8080,"password":"x"},{"id":"htpc","host":"192.168.1.20","priority":1}]'
+function parseVlcInstances(): Array<Record<string, unknown>> | null {
+  const raw = process.env.VLC_INSTANCES || config.vlcInstances;
+  if (!raw) return null;
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(parsed) && parsed.length > 0 ? parsed : null;
+  } catch (err) {
+    logger.error('Invalid VLC_INSTANCES, falling back to VLC_HOST/VLC_PORT:', (err as Error).message);
+    return null;
+  }
+}
+const VLC_INSTANCES = parseVlcInstances();
 // NOTE: admin token can be edited in vlcord-config.json; env var takes precedence.
 
 function normalizeToken(value: unknown): string {
@@ -379,6 +400,47 @@ app.post('/api/vlc/test', async (req, res) => {
   });
 });
 
+app.get('/api/vlc/instances', (_req, res) => {
+  res.json({
+    activeInstance: vlcMonitor.activeId,
+    arbitrationPolicy: vlcMonitor.policy,
+    instances: vlcMonitor.getInstances()
+  });
+});
+
+app.post('/api/vlc/instances/policy', requireAdmin, (req, res) => {
+  try {
+    vlcMonitor.setPolicy(req.body?.policy);
+    res.json({ success: true, arbitrationPolicy: vlcMonitor.policy, activeInstance: vlcMonitor.activeId });
+  } catch (err) {
+    res.status(400).json({ error: (err as Error).message });
+  }
+});
+
+// Remote playback control, proxied to the player backend
+async function runVlcControl(action: string, value: unknown, instanceId?: string) {
+  if (instanceId && !vlcMonitor.getMonitor(instanceId)) {
+    return { status: 404, body: { error: `Unknown VLC instance "${instanceId}"` } };
+  }
+
+  try {
+    const status = await vlcMonitor.control(action, value, instanceId);
+    return { status: 200, body: { success: true, action, status } };
+  } catch (err) {
+    const error = err as Error & { code?: string };
+    if (error.code === 'EINVAL') {
+      return { status: 400, body: { error: error.message } };
+    }
+    logger.warn(`Playback control "${action}" failed:`, error.message);
+    return { status: error.code === 'ENOTSUP' ? 501 : 502, body: { error: error.message } };
+  }
+}
+
+app.post('/api/vlc/control/:action', requireAdmin, async (req, res) => {
+  const result = await runVlcControl(req.params.action, req.body?.value, req.body?.instanceId);
+  res.status(result.status).json(result.body);
+});
+
 app.get('/api/vlc/setup-info', async (req, res) => {
   const systemInfo = await vlcSetupHelper.getSystemInfo();
   res.json(systemInfo);
@@ -415,6 +477,17 @@ app.get('/health', (req, res) => {
 const collectDefaultMetrics = client.collectDefaultMetrics;
 collectDefaultMetrics({ timeout: 5000 });
 
+new client.Gauge({
+  name: 'vlcord_poll_interval_ms',
+  help: 'Current effective VLC poll interval in milliseconds',
+  labelNames: ['instance'],
+  collect() {
+    for (const instance of vlcMonitor.getInstances()) {
+      this.set({ instance: instance.id }, instance.pollInterval);
+    }
+  }
+});
+
 app.get('/metrics', async (req, res) => {
   try {
     res.set('Content-Type', client.register.contentType);
@@ -434,14 +507,44 @@ app.get('/api/download-vlc-shortcut', (req, res) => {
   }
 });
 
-// Initialize VLC Monitor
-const vlcMonitor = new VLCMonitor({
-  host: VLC_HOST,
-  port: VLC_PORT,
-  password: VLC_PASSWORD,
-  tmdbApiKey: TMDB_API_KEY,
-  pollingInterval: process.env.VLC_POLL_INTERVAL ? parseInt(process.env.VLC_POLL_INTERVAL, 10) : 1000 // Poll every second by default
-});
+// Initialize VLC Monitor (one per configured instance)
+const vlcMonitor = new VLCInstanceManager(
+  VLC_INSTANCES || [{
+    id: 'default',
+    backend: PLAYER_BACKEND,
+    mpvSocket: MPV_SOCKET,
+    kodiHost: KODI_HOST,
+    kodiPort: KODI_PORT,
+    kodiUsername: KODI_USERNAME,
+    kodiPassword: KODI_PASSWORD,
+    host: VLC_HOST,
+    port: VLC_PORT,
+    password: VLC_PASSWORD
+  }],
+  {
+    backend: PLAYER_BACKEND,
+    tmdbApiKey: TMDB_API_KEY,
+    albumArtBaseUrl: process.env.ALBUM_ART_BASE_URL || config.albumArtBaseUrl,
+    albumArtEnabled: process.env.ALBUM_ART_ENABLED ? process.env.ALBUM_ART_ENABLED !== 'false' : config.albumArtEnabled,
+    pollingInterval: process.env.VLC_POLL_INTERVAL ? parseInt(process.env.VLC_POLL_INTERVAL, 10) : 1000, // Poll every second by default
+    // VLC_POLL_INTERVAL is the rate while playing, VLC_POLL_ADAPTIVE=false pins it
+    adaptivePolling: process.env.VLC_POLL_ADAPTIVE !== 'false',
+    maxPollInterval: process.env.VLC_POLL_MAX_INTERVAL ? parseInt(process.env.VLC_POLL_MAX_INTERVAL, 10) : 30000,
+    // Bug reports: record raw player responses, or replay such a recording instead of a live player
+    recordPath: process.env.VLCORD_RECORD_PATH || config.recordPath,
+    replayPath: process.env.VLCORD_REPLAY_PATH || config.replayPath,
+    replaySpeed: process.env.VLCORD_REPLAY_SPEED ? parseFloat(process.env.VLCORD_REPLAY_SPEED) : 1,
+    // Idle policies: timeouts are configured in minutes
+    idle: {
+      pausedTimeout: parseFloat(process.env.IDLE_PAUSED_TIMEOUT || config.idlePausedTimeout || '0') * 60000,
+      pausedAction: process.env.IDLE_PAUSED_ACTION || config.idlePausedAction,
+      stoppedTimeout: parseFloat(process.env.IDLE_STOPPED_TIMEOUT || config.idleStoppedTimeout || '0') * 60000
+    },
+    // Percent of a title that must actually play for its session to count as completed
+    completionThreshold: parseFloat(process.env.VLCORD_COMPLETION_THRESHOLD || config.completionThreshold || '90') / 100
+  },
+  VLC_ARBITRATION
+);
 
 // Initialize Discord Presence (skip if disabled)
 const discordPresence = process.env.DISABLE_DISCORD === 'true' 
@@ -455,7 +558,8 @@ const discordPresence = process.env.DISABLE_DISCORD === 'true'
       getConnectionStatus: () => ({ connected: false, clientConnected: false })
     }
   : new DiscordPresence({
-      clientId: DISCORD_CLIENT_ID
+      clientId: DISCORD_CLIENT_ID,
+      showChapters: process.env.DISCORD_SHOW_CHAPTERS ? process.env.DISCORD_SHOW_CHAPTERS === 'true' : Boolean(config.showChapters)
     });
 
 // Start watching config only after core services are initialized
@@ -550,6 +654,16 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Remote control from the dashboard: { action, value, instanceId, adminToken }
+  socket.on('vlcControl', async (payload: Record<string, unknown> = {}, ack?: (result: unknown) => void) => {
+    const expected = getExpectedAdminToken();
+    const instanceId = typeof payload.instanceId === 'string' ? payload.instanceId : undefined;
+    const result = !expected || normalizeToken(payload.adminToken) !== expected
+      ? { status: 401, body: { error: 'unauthorized' } }
+      : await runVlcControl(String(payload.action), payload.value, instanceId);
+    if (typeof ack === 'function') ack(result.body);
+  });
+  
   socket.on('disconnect', () => {
     logger.info('Client disconnected');
   });
@@ -576,6 +690,36 @@ vlcMonitor.on('statusUpdate', (status) => {
   }
 });
 
+// Payload of VLCMonitor 'playbackEvent' (see playback-events.js)
+interface PlaybackEventPayload {
+  type: string;
+  instanceId?: string;
+  active?: boolean;
+  current?: { title?: string | null } | null;
+  previous?: { title?: string | null } | null;
+  from?: number;
+  to?: number;
+}
+
+// Playback transitions (mediaStarted, paused, seeked, ...) for dashboard/integrations
+vlcMonitor.on('playbackEvent', (event: PlaybackEventPayload) => {
+  io.emit('playbackEvent', {
+    type: event.type,
+    instanceId: event.instanceId,
+    active: event.active,
+    title: event.current?.title || null,
+    previousTitle: event.previous?.title || null,
+    from: event.from,
+    to: event.to,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Viewing sessions (watched time, completion) for history/stats/scrobbling integrations
+for (const type of ['sessionStarted', 'sessionCompleted', 'sessionEnded']) {
+  vlcMonitor.on(type, (session: Record<string, unknown>) => io.emit(type, session));
+}
+
 // Discord connection status events
 discordPresence.on('connectionUpdate', (status) => {
   io.emit('discordStatus', status);
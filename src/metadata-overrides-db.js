@@ -9,6 +9,7 @@ import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './logger.js';
+import { findFolderRule } from './folder-rules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +30,9 @@ const DEFAULT_OVERRIDES = {
   },
   custom: {
     // User-defined mappings
+  },
+  folderRules: {
+    // Path prefix or glob -> { tmdbId, mediaType, seasonOffset, episodeRegex }
   }
 };
 
@@ -104,6 +108,15 @@ export class MetadataOverridesDb {
     return this.overrides.custom?.[normalized] || null;
   }
 
+  /**
+   * Find the folder rule covering a media path
+   * @param {string} filePath - Media path or file:// URL
+   * @returns {Object|null} { pattern, rule } or null
+   */
+  findFolderRule(filePath) {
+    return findFolderRule(this.overrides.folderRules, filePath);
+  }
+
   /**
    * Add or update override
    */
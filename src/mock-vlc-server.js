@@ -0,0 +1,399 @@
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const DEFAULT_LENGTH = 1800;
+
+// What VLC lists for a typical 1080p file, so technical info and music detection have something to read
+const DEFAULT_STREAMS = {
+  'Stream 0': { Type: 'Video', Codec: 'H264 - MPEG-4 AVC (part 10) (avc1)', Video_resolution: '1920x1080', Frame_rate: '23.976024' },
+  'Stream 1': { Type: 'Audio', Codec: 'MPEG AAC Audio (mp4a)', Channels: 'Stereo', Sample_rate: '48000 Hz', Language: 'English' },
+};
+
+/**
+ * Mock VLC HTTP interface
+ * Serves /requests/status.json and /requests/playlist.json in VLC 3's format,
+ * behind the same basic auth (empty user, Lua HTTP password), and accepts VLC's
+ * own `?command=` API (in_play, in_enqueue, pl_pause, pl_forcepause, pl_forceresume,
+ * pl_play, pl_stop, pl_next, pl_previous, pl_empty, pl_delete, seek, volume, rate).
+ * Playback time advances with the clock, so VLCMonitor and
+ * VLCSetupHelper.testVLCConnection() work against it without a real VLC.
+ *
+ * Mock-only additions to in_play/in_enqueue: `length` (seconds) and `title`.
+ */
+export class MockVLCServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (default 8080, 0 picks a free port)
+   * @param {string} options.host - Interface to bind (default '127.0.0.1')
+   * @param {string} options.password - Lua HTTP password (default 'vlcpassword')
+   * @param {Function} options.clock - Time source in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8080;
+    this.host = options.host || '127.0.0.1';
+    this.password = options.password ?? 'vlcpassword';
+    this.clock = options.clock || Date.now;
+    this.server = null;
+
+    this.items = [];
+    this.nextId = 3; // VLC's own nodes take ids 0-2
+    this.currentIndex = -1;
+    this.state = 'stopped';
+    this.baseTime = 0;
+    this.resumedAt = 0;
+    this.rate = 1;
+    this.volume = 256;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} The bound port
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  // --- Playback control -----------------------------------------------------
+
+  /**
+   * Add an item to the playlist
+   * @param {string} input - Filename, path or URI
+   * @param {Object} options - Item options
+   * @param {number} options.length - Duration in seconds (default 1800)
+   * @param {Object} options.meta - Extra meta tags (title, artist, album, now_playing, ...)
+   * @param {Object} options.streams - "Stream N" categories (default: 1080p H.264 + AAC stereo)
+   * @returns {Object} The playlist item
+   */
+  enqueue(input, options = {}) {
+    const uri = /^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `file://${encodeURI(path.resolve(input).replace(/\\/g, '/'))}`;
+    let filename = input;
+    try {
+      filename = decodeURIComponent(uri.split('/').pop()) || input;
+    } catch {
+      // keep the raw input
+    }
+
+    const item = {
+      id: String(this.nextId++),
+      uri,
+      filename,
+      length: Number(options.length) > 0 ? Number(options.length) : DEFAULT_LENGTH,
+      meta: { ...options.meta },
+      streams: options.streams || DEFAULT_STREAMS,
+    };
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * Add an item and start playing it (VLC's in_play)
+   */
+  load(input, options = {}) {
+    const item = this.enqueue(input, options);
+    this.start(this.items.indexOf(item));
+    return item;
+  }
+
+  play() {
+    if (this.state === 'paused') {
+      this.resumedAt = this.clock();
+      this.state = 'playing';
+    } else if (this.state === 'stopped' && this.items.length > 0) {
+      this.start(Math.max(this.currentIndex, 0));
+    }
+  }
+
+  pause() {
+    if (this.state === 'playing') {
+      this.baseTime = this.getTime();
+      this.state = 'paused';
+    }
+  }
+
+  stop() {
+    this.state = 'stopped';
+    this.baseTime = 0;
+  }
+
+  /**
+   * Seek like VLC's `seek` command: seconds, "+10"/"-10" or "50%"
+   * @param {string|number} value - Seek target
+   */
+  seek(value) {
+    const item = this.currentItem;
+    if (!item || this.state === 'stopped') return;
+
+    const match = String(value).trim().match(/^([+-])?(\d+(?:\.\d+)?)(%)?$/);
+    if (!match) return;
+    const [, sign, digits, percent] = match;
+    const amount = percent ? (Number(digits) / 100) * item.length : Number(digits);
+    const target = sign ? this.getTime() + (sign === '-' ? -amount : amount) : amount;
+
+    this.baseTime = Math.min(Math.max(target, 0), item.length);
+    this.resumedAt = this.clock();
+  }
+
+  next() {
+    if (this.currentIndex + 1 < this.items.length) {
+      this.start(this.currentIndex + 1);
+    } else {
+      this.stop();
+    }
+  }
+
+  previous() {
+    this.start(Math.max(this.currentIndex - 1, 0));
+  }
+
+  get currentItem() {
+    return this.items[this.currentIndex] || null;
+  }
+
+  start(index) {
+    if (!this.items[index]) return;
+    this.currentIndex = index;
+    this.state = 'playing';
+    this.baseTime = 0;
+    this.resumedAt = this.clock();
+  }
+
+  /**
+   * Current position in seconds; reaching the end moves on to the next item
+   */
+  getTime() {
+    const item = this.currentItem;
+    if (!item || this.state === 'stopped') return 0;
+    if (this.state === 'paused') return this.baseTime;
+
+    const time = this.baseTime + ((this.clock() - this.resumedAt) / 1000) * this.rate;
+    if (time < item.length) return time;
+
+    // Carry the overshoot into the next item, as if it had started on time
+    this.next();
+    if (this.state !== 'playing') return 0;
+    this.resumedAt -= ((time - item.length) / this.rate) * 1000;
+    return this.getTime();
+  }
+
+  // --- HTTP -------------------------------------------------------------------
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (!this.isAuthorized(req.headers.authorization)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="VLC stream"', 'Content-Type': 'text/plain' });
+      res.end('Unauthorized');
+      return;
+    }
+
+    if (url.pathname === '/requests/status.json') {
+      const command = url.searchParams.get('command');
+      if (command) {
+        this.runCommand(command, url.searchParams);
+      }
+      return this.sendJson(res, this.getStatus());
+    }
+    if (url.pathname === '/requests/playlist.json') {
+      return this.sendJson(res, this.getPlaylist());
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+
+  isAuthorized(header) {
+    const match = String(header || '').match(/^Basic\s+(.+)$/i);
+    if (!match) return false;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    // VLC ignores the user name and only checks the password
+    return decoded.slice(decoded.indexOf(':') + 1) === this.password;
+  }
+
+  runCommand(command, params) {
+    const val = params.get('val');
+    const itemOptions = () => ({
+      length: params.get('length'),
+      meta: params.get('title') ? { title: params.get('title') } : {},
+    });
+
+    switch (command) {
+      case 'in_play':
+        if (params.get('input')) this.load(params.get('input'), itemOptions());
+        break;
+      case 'in_enqueue':
+        if (params.get('input')) this.enqueue(params.get('input'), itemOptions());
+        break;
+      case 'pl_play': {
+        const index = this.items.findIndex(item => item.id === params.get('id'));
+        if (index >= 0) this.start(index);
+        else this.play();
+        break;
+      }
+      case 'pl_pause':
+        if (this.state === 'playing') this.pause();
+        else this.play();
+        break;
+      case 'pl_forcepause':
+        this.pause();
+        break;
+      case 'pl_forceresume':
+        this.play();
+        break;
+      case 'pl_stop':
+        this.stop();
+        break;
+      case 'pl_next':
+        this.next();
+        break;
+      case 'pl_previous':
+        this.previous();
+        break;
+      case 'pl_empty':
+        this.stop();
+        this.items = [];
+        this.currentIndex = -1;
+        break;
+      case 'pl_delete': {
+        const index = this.items.findIndex(item => item.id === params.get('id'));
+        if (index === this.currentIndex) this.stop();
+        if (index >= 0) {
+          this.items.splice(index, 1);
+          if (index <= this.currentIndex) this.currentIndex--;
+        }
+        break;
+      }
+      case 'seek':
+        this.seek(val);
+        break;
+      case 'volume': {
+        const match = String(val ?? '').match(/^([+-])?(\d+)$/);
+        if (match) {
+          const amount = Number(match[2]) * (match[1] === '-' ? -1 : 1);
+          this.volume = Math.min(Math.max(match[1] ? this.volume + amount : amount, 0), 512);
+        }
+        break;
+      }
+      case 'rate':
+        if (Number(val) > 0) {
+          this.baseTime = this.getTime();
+          this.resumedAt = this.clock();
+          this.rate = Number(val);
+        }
+        break;
+      default:
+        logger.debug(`Mock VLC ignored unsupported command "${command}"`);
+    }
+  }
+
+  getStatus() {
+    const time = this.getTime();
+    const item = this.currentItem;
+    const status = {
+      apiversion: 3,
+      version: '3.0.20 Vetinari (mock)',
+      state: this.state,
+      currentplid: item && this.state !== 'stopped' ? Number(item.id) : -1,
+      time: Math.floor(time),
+      length: item && this.state !== 'stopped' ? item.length : 0,
+      position: item && this.state !== 'stopped' ? time / item.length : 0,
+      volume: this.volume,
+      rate: this.rate,
+      fullscreen: false,
+      random: false,
+      loop: false,
+      repeat: false,
+    };
+
+    if (item && this.state !== 'stopped') {
+      status.information = {
+        chapter: 0,
+        chapters: [],
+        title: 0,
+        titles: [],
+        category: {
+          // Like VLC, local files only report their filename; streams also carry the URL
+          meta: { filename: item.filename, ...(item.uri.startsWith('file:') ? {} : { url: item.uri }), ...item.meta },
+          ...item.streams,
+        },
+      };
+    }
+    return status;
+  }
+
+  getPlaylist() {
+    const current = this.state !== 'stopped' ? this.currentItem : null;
+    return {
+      type: 'node',
+      name: '',
+      id: '0',
+      ro: 'rw',
+      children: [
+        {
+          type: 'node',
+          name: 'Playlist',
+          id: '1',
+          ro: 'ro',
+          children: this.items.map(item => ({
+            type: 'leaf',
+            name: item.meta.title || item.filename,
+            id: item.id,
+            duration: item.length,
+            uri: item.uri,
+            ro: 'rw',
+            ...(item === current ? { current: 'current' } : {}),
+          })),
+        },
+        { type: 'node', name: 'Media Library', id: '2', ro: 'ro', children: [] },
+      ],
+    };
+  }
+
+  sendJson(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// `npm run mock-vlc -- file1.mkv file2.mkv` queues the given files and plays the first
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const mock = new MockVLCServer({
+    port: Number(process.env.VLC_PORT) || 8080,
+    host: process.env.MOCK_VLC_HOST || '127.0.0.1',
+    password: process.env.VLC_PASSWORD || 'vlcpassword',
+  });
+  const files = process.argv.slice(2);
+  files.forEach(file => mock.enqueue(file));
+  if (files.length > 0) mock.play();
+
+  mock.listen().then(port => {
+    logger.info(`Mock VLC listening on http://${mock.host}:${port} (password "${mock.password}")`);
+    logger.info(`Load a file: curl -u :${mock.password} "http://${mock.host}:${port}/requests/status.json?command=in_play&input=Heat.1995.mkv"`);
+  }).catch(error => {
+    logger.error('Mock VLC failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+export default MockVLCServer;
@@ -0,0 +1,226 @@
+/**
+ * mpv backend - talks to mpv's JSON IPC server
+ * Start mpv with --input-ipc-server=/tmp/mpvsocket (or \\.\pipe\mpvsocket on Windows)
+ */
+
+import net from 'net';
+import { PlayerAdapter } from './player-adapter.js';
+import { parseVLCStatus } from './vlc-parser.js';
+
+const DEFAULT_SOCKET = process.platform === 'win32' ? '\\\\.\\pipe\\mpvsocket' : '/tmp/mpvsocket';
+
+// Properties queried on every poll
+const STATUS_PROPERTIES = [
+  'idle-active',
+  'pause',
+  'time-pos',
+  'duration',
+  'percent-pos',
+  'path',
+  'filename',
+  'media-title',
+  'metadata',
+  'playlist-pos',
+  'chapter',
+  'chapters',
+  'chapter-metadata',
+  'speed',
+];
+
+export class MpvAdapter extends PlayerAdapter {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.mpvSocket - Path of mpv's IPC socket / named pipe
+   * @param {number} config.timeout - Request timeout in ms (default 3000)
+   */
+  constructor(config = {}) {
+    super(config, 'mpv');
+    this.socketPath = config.mpvSocket || DEFAULT_SOCKET;
+    this.timeout = config.timeout || 3000;
+  }
+
+  async fetchStatus() {
+    return this.getProperties(STATUS_PROPERTIES);
+  }
+
+  normalizeStatus(raw) {
+    return parseVLCStatus(toVLCStatusJson(raw));
+  }
+
+  async fetchPlaylist() {
+    const { playlist } = await this.getProperties(['playlist']);
+    if (!Array.isArray(playlist)) return [];
+    return playlist.map((entry, index) => ({
+      // playlist-pos is an index, so use indexes as ids to match currentplid
+      id: String(index),
+      name: entry.title || String(entry.filename || '').split(/[\\/]/).pop(),
+      uri: entry.filename || '',
+      duration: null,
+      current: Boolean(entry.current || entry.playing),
+    }));
+  }
+
+  async sendControl(action, value) {
+    await this.sendCommands([toMpvCommand(action, value)], { strict: true });
+  }
+
+  /**
+   * Query several properties over one IPC connection
+   * Unavailable properties (e.g. duration while idle) resolve to null.
+   * @param {string[]} names - Property names
+   * @returns {Promise<Object>} Map of property name to value
+   */
+  getProperties(names) {
+    return this.sendCommands(names.map(name => ['get_property', name])).then(results => {
+      const values = {};
+      names.forEach((name, i) => {
+        values[name] = results[i];
+      });
+      return values;
+    });
+  }
+
+  /**
+   * Send raw mpv commands and collect their replies in order
+   * @param {Array<Array>} commands - e.g. [['get_property', 'pause']]
+   * @param {Object} options - Options
+   * @param {boolean} options.strict - Reject when mpv reports an error instead of returning null
+   * @returns {Promise<Array>} Reply data for each command (null on error)
+   */
+  sendCommands(commands, { strict = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const results = new Array(commands.length).fill(null);
+      let pending = commands.length;
+      let buffer = '';
+      let settled = false;
+
+      const socket = net.createConnection(this.socketPath);
+
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (err) reject(err);
+        else resolve(results);
+      };
+
+      const timer = setTimeout(() => {
+        const err = new Error(`mpv IPC request timed out after ${this.timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        finish(err);
+      }, this.timeout);
+
+      socket.on('connect', () => {
+        commands.forEach((command, i) => {
+          socket.write(JSON.stringify({ command, request_id: i + 1 }) + '\n');
+        });
+      });
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch {
+            continue;
+          }
+
+          // Skip asynchronous events (they carry no request_id)
+          const index = Number(message.request_id) - 1;
+          if (!Number.isInteger(index) || index < 0 || index >= commands.length) continue;
+
+          if (strict && message.error !== 'success') {
+            finish(new Error(`mpv command "${commands[index][0]}" failed: ${message.error}`));
+            return;
+          }
+          results[index] = message.error === 'success' ? (message.data ?? null) : null;
+          pending--;
+          if (pending === 0) finish();
+        }
+      });
+
+      socket.on('error', finish);
+      socket.on('close', () => {
+        if (pending > 0) {
+          const err = new Error('mpv IPC connection closed before all replies were received');
+          err.code = 'ECONNRESET';
+          finish(err);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Convert mpv properties into VLC's status.json layout so the shared parser can
+ * run the usual title/TV detection on them.
+ * @param {Object} props - Values returned by MpvAdapter.fetchStatus()
+ * @returns {Object} status.json-shaped object
+ */
+export function toVLCStatusJson(props = {}) {
+  const idle = props['idle-active'] === true || !props.path;
+  const state = idle ? 'stopped' : props.pause ? 'paused' : 'playing';
+
+  // mpv metadata keys follow the container tags (TITLE, Artist, ...); VLC uses lowercase
+  const meta = {};
+  for (const [key, value] of Object.entries(props.metadata || {})) {
+    if (value !== null && value !== undefined && value !== '') {
+      meta[key.toLowerCase()] = String(value);
+    }
+  }
+  if (props.filename) meta.filename = props.filename;
+  if (props.path) meta.filepath = props.path;
+  if (props['chapter-metadata']?.title) meta.chapter_name = String(props['chapter-metadata'].title);
+
+  const percent = Number(props['percent-pos']);
+  const playlistPos = Number(props['playlist-pos']);
+  const chapters = Number(props.chapters);
+  return {
+    state,
+    currentplid: Number.isInteger(playlistPos) && playlistPos >= 0 ? playlistPos : -1,
+    time: Number.isFinite(props['time-pos']) ? props['time-pos'] : 0,
+    length: Number.isFinite(props.duration) ? props.duration : 0,
+    position: Number.isFinite(percent) ? percent / 100 : 0,
+    rate: Number(props.speed) > 0 ? Number(props.speed) : 1,
+    information: {
+      // Same 0-based chapter index + list VLC reports
+      chapter: Number.isInteger(props.chapter) ? props.chapter : undefined,
+      chapters: chapters > 0 ? Array.from({ length: chapters }, (_, i) => i) : undefined,
+      category: { meta },
+    },
+  };
+}
+
+/**
+ * Map a control command onto an mpv IPC command
+ * @param {string} action - Control action
+ * @param {{mode: string, amount: number}|null} value - Normalized value
+ * @returns {Array} mpv command array
+ */
+export function toMpvCommand(action, value) {
+  switch (action) {
+    case 'pause':
+      return ['set_property', 'pause', true];
+    case 'play':
+      return ['set_property', 'pause', false];
+    case 'next':
+      return ['playlist-next'];
+    case 'previous':
+      return ['playlist-prev'];
+    case 'seek':
+      return ['seek', value.amount, value.mode === 'percent' ? 'absolute-percent' : value.mode];
+    case 'volume':
+      return value.mode === 'relative' ? ['add', 'volume', value.amount] : ['set_property', 'volume', value.amount];
+    default:
+      throw new Error(`Unsupported control action "${action}"`);
+  }
+}
+
+export default MpvAdapter;
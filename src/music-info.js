@@ -0,0 +1,109 @@
+/**
+ * Audio detection for VLC status.json payloads
+ * Music is recognised from tag metadata (artist/album/track_number) combined with
+ * the stream categories VLC reports ("Stream 0": { Type: "Audio", ... }).
+ * Internet radio is recognised from a network URL in meta.url; its ICY
+ * `now_playing` tag changes mid-stream and is reported as the current track.
+ */
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|m4a|aac|ogg|oga|opus|wav|wma|alac|ape|aiff?)$/i;
+const NETWORK_URL = /^(https?|icyx?|mms[hu]?|rtsp|rtmp):\/\//i;
+
+/**
+ * Collect the stream types VLC lists under information.category
+ * @param {Object} category - vlcData.information.category
+ * @returns {string[]} Lowercased stream types, e.g. ['audio', 'video']
+ */
+export function getStreamTypes(category = {}) {
+  return Object.entries(category)
+    .filter(([name]) => /^stream\s+\d+$/i.test(name))
+    .map(([, stream]) => String(stream?.Type || stream?.type || '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Decide whether the current item is music and pull out its tags
+ * @param {Object} vlcData - status.json response
+ * @returns {Object|null} { title, artist, album, albumArtist, trackNumber, genre, year, artworkUrl } or null
+ */
+export function extractMusicInfo(vlcData) {
+  const category = vlcData?.information?.category || {};
+  const meta = category.meta || {};
+  const streams = getStreamTypes(category);
+  const filename = meta.filename || '';
+
+  const hasVideo = streams.includes('video');
+  const audioOnly = streams.length > 0 && streams.every(type => type === 'audio');
+  const hasMusicTags = Boolean(meta.artist || meta.album || meta.track_number);
+
+  // Cover art is exposed as a video stream by some demuxers, so tags + audio extension win
+  const isMusic = (hasMusicTags && (!hasVideo || AUDIO_EXTENSIONS.test(filename)))
+    || audioOnly
+    || (!hasVideo && AUDIO_EXTENSIONS.test(filename));
+  if (!isMusic) return null;
+
+  const title = meta.title || filename.replace(AUDIO_EXTENSIONS, '') || null;
+  const year = String(meta.date || '').match(/\d{4}/);
+
+  return {
+    title,
+    artist: meta.artist || meta.album_artist || null,
+    album: meta.album || null,
+    albumArtist: meta.album_artist || null,
+    trackNumber: meta.track_number ? parseInt(meta.track_number, 10) || null : null,
+    genre: meta.genre || null,
+    year: year ? Number(year[0]) : null,
+    // Only remote artwork is usable by Discord; VLC often reports file:// cache paths
+    artworkUrl: /^https?:\/\//i.test(meta.artwork_url || '') ? meta.artwork_url : null,
+  };
+}
+
+/**
+ * Split an ICY now_playing value ("Artist - Title") into its parts
+ * @param {string} nowPlaying - Raw now_playing tag
+ * @returns {{artist: string|null, title: string}} Parsed track
+ */
+export function parseNowPlaying(nowPlaying) {
+  const value = String(nowPlaying || '').trim();
+  const match = value.match(/^(.+?)\s+[-–]\s+(.+)$/);
+  return match ? { artist: match[1].trim(), title: match[2].trim() } : { artist: null, title: value };
+}
+
+/**
+ * Recognise network audio streams (internet radio)
+ * @param {Object} vlcData - status.json response
+ * @returns {Object|null} { url, station, nowPlaying, artist, title, genre } or null
+ */
+export function extractStreamInfo(vlcData) {
+  const category = vlcData?.information?.category || {};
+  const meta = category.meta || {};
+  const url = meta.url || (NETWORK_URL.test(meta.filename || '') ? meta.filename : '');
+  if (!NETWORK_URL.test(url || '')) return null;
+
+  // A network URL carrying video is a video stream, not radio. Until VLC has filled in
+  // the "Stream N" categories (first poll of an HLS/IPTV stream) it could be either.
+  const types = getStreamTypes(category);
+  if (!types.includes('audio') || types.includes('video')) return null;
+
+  const nowPlaying = meta.now_playing ? String(meta.now_playing).trim() : null;
+  const track = nowPlaying ? parseNowPlaying(nowPlaying) : { artist: null, title: null };
+  let station = meta.title && meta.title !== nowPlaying ? meta.title : null;
+  if (!station) {
+    try {
+      station = new URL(url).hostname;
+    } catch {
+      station = url;
+    }
+  }
+
+  return {
+    url,
+    station,
+    nowPlaying,
+    artist: track.artist,
+    title: track.title,
+    genre: meta.genre || null,
+  };
+}
+
+export default extractMusicInfo;
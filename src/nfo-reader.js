@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+/**
+ * Kodi/Plex-style .nfo sidecars
+ * Library managers (Kodi, Jellyfin, tinyMediaManager, Radarr/Sonarr) write
+ * `<video>.nfo`, `movie.nfo` and `tvshow.nfo` next to the media. Their IDs
+ * identify the file exactly, so VLCMonitor fetches by ID instead of searching.
+ */
+
+const MAX_NFO_SIZE = 512 * 1024;
+
+function decodeEntities(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// First <tag>value</tag> directly inside the root (nested <actor><name> etc. are skipped)
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeEntities(match[1]) || null : null;
+}
+
+function readUniqueIds(xml) {
+  const ids = {};
+  const pattern = /<uniqueid\b([^>]*)>([\s\S]*?)<\/uniqueid>/gi;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const type = (match[1].match(/type\s*=\s*["']([^"']+)["']/i) || [])[1];
+    if (type) ids[type.toLowerCase()] = decodeEntities(match[2]);
+  }
+  return ids;
+}
+
+function toNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an .nfo file's content
+ * Supports the XML format and Kodi's URL-only form (a TMDb/IMDb link on its own line).
+ * @param {string} content - File content
+ * @returns {Object|null} { kind: 'movie'|'tvshow'|'episode', title, year, season, episode, ids: { tmdb, imdb, tvdb } }
+ */
+export function parseNfo(content) {
+  const text = String(content || '').replace(/<!--[\s\S]*?-->/g, '');
+  const root = text.match(/<(movie|tvshow|episodedetails)\b/i);
+
+  if (!root) {
+    const tmdb = text.match(/themoviedb\.org\/(movie|tv)\/(\d+)/i);
+    const imdb = text.match(/\b(tt\d{7,})\b/);
+    if (!tmdb && !imdb) return null;
+    return {
+      kind: tmdb?.[1].toLowerCase() === 'tv' ? 'tvshow' : tmdb ? 'movie' : null,
+      title: null,
+      year: null,
+      season: null,
+      episode: null,
+      ids: { tmdb: tmdb ? tmdb[2] : null, imdb: imdb ? imdb[1] : null, tvdb: null },
+    };
+  }
+
+  // Multi-episode files hold several <episodedetails>; the first one is the file's start
+  const kind = root[1].toLowerCase() === 'episodedetails' ? 'episode' : root[1].toLowerCase();
+  const body = text.slice(root.index).split(/<\/(?:movie|tvshow|episodedetails)>/i)[0];
+  const unique = readUniqueIds(body);
+  const imdb = unique.imdb || readTag(body, 'imdbid') || (readTag(body, 'id') || '').match(/^tt\d+$/)?.[0] || null;
+
+  const ids = {
+    tmdb: unique.tmdb || readTag(body, 'tmdbid'),
+    imdb,
+    tvdb: unique.tvdb || readTag(body, 'tvdbid'),
+  };
+  return {
+    kind,
+    title: readTag(body, 'title'),
+    year: toNumber(readTag(body, 'year') || (readTag(body, 'premiered') || '').slice(0, 4)),
+    season: toNumber(readTag(body, 'season')),
+    episode: toNumber(readTag(body, 'episode')),
+    ids,
+  };
+}
+
+/**
+ * Turn meta.filepath / meta.url into a local path
+ * @param {string} location - Path or file:// URL
+ * @returns {string|null} Local path, or null for streams and discs
+ */
+export function toLocalPath(location) {
+  if (!location) return null;
+  const value = String(location);
+  if (/^file:\/\//i.test(value)) {
+    try {
+      return fileURLToPath(value);
+    } catch {
+      return null;
+    }
+  }
+  return /^[a-z][a-z0-9+.-]+:\/\//i.test(value) ? null : value;
+}
+
+async function readNfoFile(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile() || stat.size > MAX_NFO_SIZE) return null;
+    const info = parseNfo(await fs.readFile(filePath, 'utf8'));
+    return info ? { ...info, path: filePath } : null;
+  } catch {
+    return null;
+  }
+}
+
+const hasIds = (info) => Boolean(info && (info.ids.tmdb || info.ids.imdb || info.ids.tvdb));
+
+/**
+ * Find the sidecars describing a media file
+ * Looks for `<name>.nfo` and `movie.nfo` next to the file, and `tvshow.nfo` in
+ * the file's folder and up to `depth` parents (Show/Season 1/episode.mkv).
+ * @param {string} location - Media path or file:// URL
+ * @param {Object} options - Options
+ * @param {number} options.depth - Parent folders to search for tvshow.nfo (default 2)
+ * @returns {Promise<Object|null>} { mediaType, ids, season, episode, title, year, nfoPath } or null
+ */
+export async function findNfoInfo(location, { depth = 2 } = {}) {
+  const filePath = toLocalPath(location);
+  if (!filePath) return null;
+
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  const own = await readNfoFile(path.join(dir, `${base}.nfo`));
+
+  if (own?.kind === 'movie' && hasIds(own)) {
+    return { mediaType: 'movie', ids: own.ids, season: null, episode: null, title: own.title, year: own.year, nfoPath: own.path };
+  }
+
+  let show = null;
+  for (let level = 0, current = dir; level <= depth; level++, current = path.dirname(current)) {
+    show = await readNfoFile(path.join(current, 'tvshow.nfo'));
+    if (show || path.dirname(current) === current) break;
+  }
+
+  if (own?.kind === 'episode' || (show && hasIds(show))) {
+    // Episode NFOs carry episode IDs - the show's IDs come from tvshow.nfo
+    if (!hasIds(show)) return null;
+    return {
+      mediaType: 'tv',
+      ids: show.ids,
+      season: own?.season ?? null,
+      episode: own?.episode ?? null,
+      title: show.title,
+      year: show.year,
+      nfoPath: own?.path || show.path,
+    };
+  }
+
+  const movie = hasIds(own) ? own : await readNfoFile(path.join(dir, 'movie.nfo'));
+  if (hasIds(movie) && movie.kind !== 'tvshow') {
+    return { mediaType: 'movie', ids: movie.ids, season: null, episode: null, title: movie.title, year: movie.year, nfoPath: movie.path };
+  }
+
+  if (own || show || movie) {
+    logger.debug(`NFO found for ${filePath} but it has no TMDb/IMDb/TVDB ID`);
+  }
+  return null;
+}
+
+export default findNfoInfo;
@@ -0,0 +1,54 @@
+/**
+ * Playback control commands shared by all player backends
+ *
+ * Values accepted by the control API:
+ * - seek:   seconds (absolute), "+10"/"-10" (relative seconds) or "50%" (absolute percent)
+ * - volume: percent where 100 is normal volume (0-200), or "+10"/"-10" (relative percent)
+ * - pause, play, next, previous: no value
+ */
+
+export const CONTROL_ACTIONS = ['pause', 'play', 'next', 'previous', 'seek', 'volume'];
+
+const VALUE_ACTIONS = ['seek', 'volume'];
+
+/**
+ * Validate a control command and normalize its value
+ * @param {string} action - One of CONTROL_ACTIONS
+ * @param {string|number} value - Raw value from the route/socket payload
+ * @returns {{action: string, value: ({mode: string, amount: number}|null)}} Normalized command
+ * @throws {Error} When the action is unknown or the value is invalid (err.code === 'EINVAL')
+ */
+export function parseControlCommand(action, value) {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'EINVAL' });
+
+  if (!CONTROL_ACTIONS.includes(action)) {
+    throw invalid(`Unknown control action "${action}". Supported: ${CONTROL_ACTIONS.join(', ')}`);
+  }
+  if (!VALUE_ACTIONS.includes(action)) {
+    return { action, value: null };
+  }
+
+  const match = String(value ?? '').trim().match(/^([+-])?(\d+(?:\.\d+)?)(%)?$/);
+  if (!match) {
+    throw invalid(`Invalid value "${value}" for ${action}`);
+  }
+  const [, sign, digits, percent] = match;
+  const amount = Number(digits) * (sign === '-' ? -1 : 1);
+
+  if (action === 'volume') {
+    if (percent) {
+      throw invalid('Volume is already a percentage, drop the "%"');
+    }
+    return { action, value: { mode: sign ? 'relative' : 'absolute', amount: sign ? amount : Math.min(amount, 200) } };
+  }
+
+  if (percent) {
+    if (sign || amount > 100) {
+      throw invalid(`Invalid seek percentage "${value}"`);
+    }
+    return { action, value: { mode: 'percent', amount } };
+  }
+  return { action, value: { mode: sign ? 'relative' : 'absolute', amount } };
+}
+
+export default parseControlCommand;
@@ -0,0 +1,101 @@
+/**
+ * Playback transition detection
+ * Compares two consecutive monitor statuses and derives what happened in between,
+ * so consumers don't have to diff full statusUpdate payloads themselves.
+ */
+
+export const PLAYBACK_EVENTS = [
+  'mediaStarted',
+  'mediaChanged',
+  'paused',
+  'resumed',
+  'seeked',
+  'stopped',
+  'ended',
+  'disconnected',
+  'reconnected',
+];
+
+// Allowed drift between expected and reported position before we call it a seek
+const SEEK_TOLERANCE_SECONDS = 3;
+// Media counts as "ended" when it stops within this many seconds (or 2%) of the end
+const END_THRESHOLD_SECONDS = 10;
+
+function hasMedia(status) {
+  return Boolean(status && status.connected && (status.playing || status.paused) && status.title);
+}
+
+// TV titles are the show name, so the episode and filename are part of the identity
+function mediaKey(status) {
+  return [status.title, status.season, status.episode, status.originalTitle].join('|');
+}
+
+function nearEnd(status) {
+  if (!status || !status.length) return false;
+  const remaining = Math.max(0, status.length - (status.elapsed || 0));
+  return remaining <= Math.max(END_THRESHOLD_SECONDS, status.length * 0.02);
+}
+
+/**
+ * Detect playback transitions between two statuses
+ * @param {Object|null} previous - Status from the previous poll (null on first poll)
+ * @param {Object} current - Status from this poll
+ * @returns {Array<Object>} Events in the order they happened: { type, previous, current, ...details }
+ */
+export function detectPlaybackEvents(previous, current) {
+  const events = [];
+  if (!current) return events;
+  const push = (type, details = {}) => events.push({ type, previous, current, ...details });
+
+  const wasConnected = Boolean(previous && previous.connected);
+  if (previous && wasConnected !== Boolean(current.connected)) {
+    push(current.connected ? 'reconnected' : 'disconnected');
+  }
+
+  const hadMedia = hasMedia(previous);
+  const hasMediaNow = hasMedia(current);
+
+  if (hadMedia && !hasMediaNow) {
+    if (nearEnd(previous)) push('ended');
+    push('stopped');
+    return events;
+  }
+
+  if (!hasMediaNow) return events;
+
+  if (!hadMedia) {
+    push('mediaStarted');
+    return events;
+  }
+
+  if (mediaKey(previous) !== mediaKey(current)) {
+    if (nearEnd(previous)) push('ended');
+    push('mediaChanged');
+    return events;
+  }
+
+  if (previous.playing && current.paused) {
+    push('paused');
+  } else if (previous.paused && current.playing) {
+    push('resumed');
+  }
+
+  // Position only advances while playing; anything beyond normal drift is a seek
+  const from = previous.elapsed || 0;
+  const to = current.elapsed || 0;
+  const seconds = previous.playing
+    ? Math.max(0, ((current.lastUpdated || 0) - (previous.lastUpdated || 0)) / 1000)
+    : 0;
+  const expected = from + seconds * (previous.rate || 1);
+  // When pausing/resuming in between polls the position may land anywhere in [from, expected]
+  const seeked = previous.playing && current.playing
+    ? Math.abs(to - expected) > SEEK_TOLERANCE_SECONDS
+    : to < from - SEEK_TOLERANCE_SECONDS || to > expected + SEEK_TOLERANCE_SECONDS;
+  if (seeked) {
+    push('seeked', { from, to });
+  }
+
+  return events;
+}
+
+export default detectPlaybackEvents;
@@ -0,0 +1,62 @@
+/**
+ * Player adapter contract
+ * Every media player backend (VLC, mpv, ...) implements this interface so that
+ * VLCMonitor can poll it without knowing which player produced the status.
+ */
+
+import { parseVLCStatus } from './vlc-parser.js';
+
+export class PlayerAdapter {
+  /**
+   * @param {Object} config - Backend configuration
+   * @param {string} name - Backend identifier (e.g. 'vlc', 'mpv')
+   */
+  constructor(config = {}, name = 'unknown') {
+    this.config = config;
+    this.name = name;
+  }
+
+  /**
+   * Fetch the raw status from the player
+   * Implementations throw when the player is unreachable so the monitor can
+   * report the disconnect.
+   * @returns {Promise<Object>} Raw player response
+   */
+  async fetchStatus() {
+    throw new Error(`Player backend "${this.name}" does not implement fetchStatus()`);
+  }
+
+  /**
+   * Normalize a raw player response into the VLCStatus shape
+   * The default implementation expects VLC's status.json layout; adapters for
+   * other players convert their payload into that layout first.
+   * @param {Object} raw - Raw response returned by fetchStatus()
+   * @returns {Object} Parsed status (see VLCStatus in vlc-monitor.js)
+   */
+  normalizeStatus(raw) {
+    return parseVLCStatus(raw);
+  }
+
+  /**
+   * Fetch the player's queue
+   * @returns {Promise<Array<Object>|null>} Items ({ id, name, uri, duration, current }) in
+   *   playback order, or null when the backend has no playlist support
+   */
+  async fetchPlaylist() {
+    return null;
+  }
+
+  /**
+   * Send a playback control command to the player
+   * @param {string} action - One of CONTROL_ACTIONS (see playback-control.js)
+   * @param {{mode: string, amount: number}|null} value - Normalized value from parseControlCommand()
+   * @returns {Promise<void>}
+   */
+  async sendControl(action, value) {
+    const err = new Error(`Player backend "${this.name}" does not support playback control`);
+    err.code = 'ENOTSUP';
+    throw err;
+  }
+}
+
+export default PlayerAdapter;
@@ -0,0 +1,49 @@
+/**
+ * Player backend factory
+ * Maps the configured backend name to its PlayerAdapter implementation
+ */
+
+import VLCPoller from './vlc-poller.js';
+import MpvAdapter from './mpv-adapter.js';
+import KodiAdapter from './kodi-adapter.js';
+import SessionRecorder from './session-recorder.js';
+import ReplayPoller from './replay-poller.js';
+
+export const PLAYER_BACKENDS = {
+  vlc: VLCPoller,
+  mpv: MpvAdapter,
+  kodi: KodiAdapter,
+};
+
+/**
+ * Create the player adapter for a monitor configuration
+ * @param {Object} config - Monitor configuration
+ * @param {string} config.backend - Backend name (default 'vlc')
+ * @param {string} config.recordPath - Record raw player responses to this JSONL file
+ * @param {string} config.replayPath - Replay a recording instead of polling a player
+ * @returns {import('./player-adapter.js').PlayerAdapter} Adapter instance
+ */
+export function createPlayerAdapter(config = {}) {
+  if (config.replayPath) {
+    const replayPath = instancePath(config.replayPath, config);
+    // The recorded backend still normalizes the payloads (mpv/Kodi record their own formats)
+    return new ReplayPoller({ ...config, replayPath }, backend =>
+      createPlayerAdapter({ ...config, backend, replayPath: null, recordPath: null })
+    );
+  }
+
+  const backend = String(config.backend || 'vlc').toLowerCase();
+  const Adapter = PLAYER_BACKENDS[backend];
+  if (!Adapter) {
+    throw new Error(`Unknown player backend "${config.backend}". Supported: ${Object.keys(PLAYER_BACKENDS).join(', ')}`);
+  }
+  const adapter = new Adapter(config);
+  return config.recordPath ? new SessionRecorder(adapter, instancePath(config.recordPath, config)) : adapter;
+}
+
+// "{id}" in a record/replay path is replaced by the instance id (see VLC_INSTANCES)
+function instancePath(filePath, config) {
+  return String(filePath).replaceAll('{id}', String(config.id || 'default'));
+}
+
+export default createPlayerAdapter;
@@ -0,0 +1,97 @@
+/**
+ * Playlist helpers
+ * Backends return a flat list of items ({ id, name, uri, duration, current });
+ * summarizePlaylist() turns that into the queue info carried in the status.
+ */
+
+import cleanTitle from './title-cleaner.js';
+
+/**
+ * Flatten VLC's playlist.json tree into the list of queued items
+ * VLC nests the queue under a node named "Playlist" next to "Media Library".
+ * @param {Object} raw - playlist.json response
+ * @returns {Array<Object>} Items in playback order
+ */
+export function flattenVLCPlaylist(raw) {
+  if (!raw || !Array.isArray(raw.children)) return [];
+  const queue = raw.children.find(node => node.id === '1' || /^playlist$/i.test(node.name || '')) || raw.children[0];
+
+  const items = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'leaf') {
+      items.push({
+        id: node.id !== undefined && node.id !== null ? String(node.id) : null,
+        name: node.name || '',
+        uri: node.uri || '',
+        duration: Number(node.duration) > 0 ? Number(node.duration) : null,
+        current: node.current === 'current',
+      });
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(queue);
+  return items;
+}
+
+/**
+ * Describe a queued item the same way the monitor describes the current one
+ * @param {Object} item - Playlist item
+ * @returns {Object} { name, title, mediaType, season, episode, episodeTitle, year, label }
+ */
+export function describePlaylistItem(item) {
+  let name = item.name;
+  if (!name && item.uri) {
+    try {
+      name = decodeURIComponent(item.uri.split(/[\\/]/).pop());
+    } catch {
+      name = item.uri.split(/[\\/]/).pop();
+    }
+  }
+  const info = cleanTitle((name || '').replace(/\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v)$/i, ''));
+  const hasEpisode = info.season !== null && info.season !== undefined && info.episode !== null && info.episode !== undefined;
+  const title = info.showTitle || info.title || name;
+
+  return {
+    name,
+    title,
+    mediaType: info.type || 'unknown',
+    season: hasEpisode ? info.season : null,
+    episode: hasEpisode ? info.episode : null,
+    episodeTitle: info.episodeTitle || null,
+    year: info.year || null,
+    label: hasEpisode
+      ? `S${String(info.season).padStart(2, '0')}E${String(info.episode).padStart(2, '0')}`
+      : title,
+  };
+}
+
+/**
+ * Work out where we are in the queue and what plays next
+ * @param {Array<Object>} items - Flat playlist items
+ * @param {string|number|null} currentId - Playlist id of the current item, if the backend knows it
+ * @returns {Object} { playlistPosition, playlistLength, nextItem }
+ */
+export function summarizePlaylist(items, currentId = null) {
+  const empty = { playlistPosition: null, playlistLength: 0, nextItem: null };
+  if (!Array.isArray(items) || items.length === 0) return empty;
+
+  let index = currentId !== null && currentId !== undefined
+    ? items.findIndex(item => item.id === String(currentId))
+    : -1;
+  if (index === -1) {
+    index = items.findIndex(item => item.current);
+  }
+  if (index === -1) {
+    return { ...empty, playlistLength: items.length };
+  }
+
+  const next = items[index + 1];
+  return {
+    playlistPosition: index + 1,
+    playlistLength: items.length,
+    nextItem: next ? describePlaylistItem(next) : null,
+  };
+}
+
+export default summarizePlaylist;
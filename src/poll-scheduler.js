@@ -0,0 +1,84 @@
+/**
+ * Adaptive poll scheduler
+ * Decides how long VLCMonitor waits before the next poll:
+ * - playing: normal interval
+ * - paused: twice the normal interval
+ * - stopped / unreachable: exponential backoff up to maxInterval
+ * - right after a state change: fast polling for boostDuration
+ * With `adaptive: false` the base interval is always used (VLC_POLL_ADAPTIVE=false).
+ */
+
+export class PollScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.baseInterval - Interval while playing in ms (default 1000)
+   * @param {number} options.minInterval - Interval during the post-change boost in ms (default 250)
+   * @param {number} options.maxInterval - Backoff ceiling in ms (default 30000)
+   * @param {number} options.backoffFactor - Multiplier per idle/failed poll (default 2)
+   * @param {number} options.boostDuration - How long to poll fast after a change in ms (default 3000)
+   * @param {boolean} options.adaptive - false pins the interval to baseInterval (default true)
+   */
+  constructor(options = {}) {
+    this.baseInterval = options.baseInterval || 1000;
+    this.minInterval = Math.min(options.minInterval || 250, this.baseInterval);
+    this.maxInterval = Math.max(options.maxInterval || 30000, this.baseInterval);
+    this.backoffFactor = options.backoffFactor || 2;
+    this.boostDuration = options.boostDuration ?? 3000;
+    this.adaptive = options.adaptive !== false;
+
+    this.lastState = null;
+    this.idlePolls = 0;
+    this.boostUntil = 0;
+    this.currentInterval = this.baseInterval;
+  }
+
+  /**
+   * Compute the delay before the next poll
+   * @param {string} state - 'playing', 'paused', 'stopped' or 'unreachable'
+   * @param {number} now - Current time in ms (injectable for tests)
+   * @returns {number} Delay in ms
+   */
+  next(state, now = Date.now()) {
+    if (!this.adaptive) {
+      this.lastState = state;
+      this.currentInterval = this.baseInterval;
+      return this.currentInterval;
+    }
+
+    if (this.lastState !== null && state !== this.lastState) {
+      this.boostUntil = now + this.boostDuration;
+    }
+    if (state !== this.lastState) {
+      this.idlePolls = 0;
+    }
+    this.lastState = state;
+
+    if (state === 'stopped' || state === 'unreachable') {
+      this.idlePolls++;
+    }
+
+    if (now < this.boostUntil && state !== 'unreachable') {
+      this.currentInterval = this.minInterval;
+    } else if (state === 'playing') {
+      this.currentInterval = this.baseInterval;
+    } else if (state === 'paused') {
+      this.currentInterval = Math.min(this.baseInterval * 2, this.maxInterval);
+    } else {
+      const backoff = this.baseInterval * Math.pow(this.backoffFactor, this.idlePolls - 1);
+      this.currentInterval = Math.min(backoff, this.maxInterval);
+    }
+    return this.currentInterval;
+  }
+
+  /**
+   * Forget history when monitoring (re)starts
+   */
+  reset() {
+    this.lastState = null;
+    this.idlePolls = 0;
+    this.boostUntil = 0;
+    this.currentInterval = this.baseInterval;
+  }
+}
+
+export default PollScheduler;
@@ -1,4 +1,5 @@
 import * as animeHandler from './anime-titles.js';
+import { formatEpisodeCode, formatEpisodeTitles } from './episode-range.js';
 
 export function extractCleanTitle(title, filename = '') {
   if (!title) return 'Unknown';
@@ -52,6 +53,14 @@ export function createMovieActivity(movie, vlcStatus, startTimestamp, endTimesta
   };
 }
 
+// "2024-03-15" -> "Mar 15, 2024"
+function formatAirDate(airDate) {
+  if (!airDate) return null;
+  const date = new Date(`${airDate}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return airDate;
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
 export function createTvShowActivity(show, vlcStatus, startTimestamp, endTimestamp) {
   const isPlaying = vlcStatus.playing;
   const hasEpisode = show.episodeNumber !== undefined;
@@ -60,16 +69,32 @@ export function createTvShowActivity(show, vlcStatus, startTimestamp, endTimesta
   let formattedShow = { ...show };
   if (isAnimeShow) formattedShow = animeHandler.formatAnimeTitle(show);
 
+  // Multi-episode file: "S01E01–E03" with the titles of every episode in it
+  const episodeEnd = formattedShow.episodeEnd > formattedShow.episodeNumber ? formattedShow.episodeEnd : null;
+
+  // Season 0 holds specials, OVAs and OADs (labelled even when TMDb had no matching episode)
+  const isSpecial = formattedShow.seasonNumber === 0;
+
   let seasonEpText = '';
-  if (hasEpisode) {
-    if (isAnimeShow && formattedShow.noSeasonDisplay) seasonEpText = `E${formattedShow.episodeNumber}`;
-    else if (isAnimeShow && formattedShow.seasonName) seasonEpText = `${formattedShow.seasonName} E${formattedShow.episodeNumber}`;
-    else if (hasSeason) seasonEpText = `S${String(formattedShow.seasonNumber).padStart(2, '0')}E${String(formattedShow.episodeNumber).padStart(2, '0')}`;
-    else seasonEpText = `E${formattedShow.episodeNumber}`;
+  if (isSpecial) {
+    seasonEpText = 'Special';
+  } else if (hasEpisode) {
+    const rangeEnd = episodeEnd ? `–E${episodeEnd}` : '';
+    if (isAnimeShow && formattedShow.noSeasonDisplay) seasonEpText = `E${formattedShow.episodeNumber}${rangeEnd}`;
+    else if (isAnimeShow && formattedShow.seasonName) seasonEpText = `${formattedShow.seasonName} E${formattedShow.episodeNumber}${rangeEnd}`;
+    else if (hasSeason) seasonEpText = formatEpisodeCode(formattedShow.seasonNumber, formattedShow.episodeNumber, episodeEnd);
+    else seasonEpText = `E${formattedShow.episodeNumber}${rangeEnd}`;
   }
 
-  const details = hasEpisode ? `${formattedShow.title} - ${seasonEpText}` : (formattedShow.title ? `${formattedShow.title}${formattedShow.year ? ` (${formattedShow.year})` : ''}` : 'TV Show');
-  const episodeTitle = formattedShow.episodeTitle || (hasEpisode ? `Episode ${formattedShow.episodeNumber}` : '');
+  // Daily shows go by air date, with the guests when the episode has no title
+  const airDateText = formatAirDate(formattedShow.airDate);
+  const guests = airDateText && formattedShow.episodeGuestStars ? `With ${formattedShow.episodeGuestStars}` : null;
+
+  let details;
+  if (airDateText) details = `${formattedShow.title || 'TV Show'} - ${airDateText}`;
+  else details = seasonEpText ? `${formattedShow.title} - ${seasonEpText}` : (formattedShow.title ? `${formattedShow.title}${formattedShow.year ? ` (${formattedShow.year})` : ''}` : 'TV Show');
+  const rangeTitles = episodeEnd ? formatEpisodeTitles((formattedShow.episodes || []).map(episode => episode.episodeTitle)) : null;
+  const episodeTitle = rangeTitles || formattedShow.episodeTitle || guests || (hasEpisode && !isSpecial ? `Episode ${formattedShow.episodeNumber}` : '');
   const description = formattedShow.overview ? (formattedShow.overview.length > 80 ? formattedShow.overview.substring(0, 77) + '...' : formattedShow.overview) : '';
 
   let stateLine = episodeTitle ? (description ? `${episodeTitle} (${description.length > 60 ? description.substring(0, 57) + '...' : description})` : episodeTitle) : (description || (show.genres ? show.genres.slice(0, 3).join(', ') : 'No description available'));
@@ -88,6 +113,46 @@ export function createTvShowActivity(show, vlcStatus, startTimestamp, endTimesta
   };
 }
 
+export function createMusicActivity(music, vlcStatus, startTimestamp, endTimestamp) {
+  const isPlaying = vlcStatus.playing;
+  const track = music.title || vlcStatus.title || 'Unknown track';
+  const details = music.artist ? `${music.artist} – ${track}` : track;
+  const album = music.album ? (music.year ? `${music.album} (${music.year})` : music.album) : '';
+
+  return {
+    // 2 = Listening
+    type: 2,
+    details: details.length > 128 ? details.substring(0, 125) + '...' : details,
+    state: album || (music.artist ? 'Single' : 'Music'),
+    largeImageKey: music.artworkUrl || 'vlc',
+    largeImageText: music.album || track,
+    smallImageKey: isPlaying ? 'play' : 'pause',
+    smallImageText: isPlaying ? 'Listening' : 'Paused',
+    startTimestamp: isPlaying ? startTimestamp : undefined,
+    endTimestamp: isPlaying ? endTimestamp : undefined,
+    buttons: music.url ? [{ label: 'Listen', url: music.url }] : undefined,
+  };
+}
+
+export function createRadioActivity(radio, vlcStatus) {
+  const isPlaying = vlcStatus.playing;
+  const song = radio.title ? (radio.artist ? `${radio.artist} – ${radio.title}` : radio.title) : null;
+  const station = radio.station || 'Internet radio';
+
+  return {
+    // 2 = Listening. Streams have no length, so no timestamps
+    type: 2,
+    details: song ? song.substring(0, 128) : station,
+    state: song ? `on ${station}`.substring(0, 128) : (radio.genre || 'Internet radio'),
+    largeImageKey: radio.artworkUrl || 'vlc',
+    largeImageText: station,
+    smallImageKey: isPlaying ? 'play' : 'pause',
+    smallImageText: isPlaying ? 'Listening' : 'Paused',
+    // Link the song, never the stream URL itself
+    buttons: radio.trackUrl ? [{ label: 'Listen', url: radio.trackUrl }] : undefined,
+  };
+}
+
 export function createBasicActivity(vlcStatus, startTimestamp, endTimestamp) {
   const isPlaying = vlcStatus.playing;
   const title = vlcStatus.title || 'Unknown';
@@ -108,9 +173,86 @@ export function createBasicActivity(vlcStatus, startTimestamp, endTimestamp) {
   };
 }
 
+/**
+ * Generic activity for idle policies: no title, just how long the player has been idle
+ */
+export function createIdleActivity(idle) {
+  return {
+    details: 'Idle in VLC',
+    state: idle.reason === 'stopped' ? 'Stopped' : 'Away',
+    largeImageKey: 'vlc',
+    largeImageText: 'VLC Media Player',
+    smallImageKey: 'pause',
+    smallImageText: 'Idle',
+    startTimestamp: idle.since,
+    endTimestamp: undefined,
+    buttons: undefined,
+  };
+}
+
+/**
+ * Add queue info to an activity: Discord renders the party as "(3 of 10)" and the
+ * small image tooltip names the next item.
+ */
+export function addPlaylistInfo(activity, vlcStatus) {
+  if (vlcStatus.playlistLength > 1 && vlcStatus.playlistPosition) {
+    activity.partySize = vlcStatus.playlistPosition;
+    activity.partyMax = vlcStatus.playlistLength;
+  }
+  if (vlcStatus.nextItem && vlcStatus.nextItem.label) {
+    activity.smallImageText = `${activity.smallImageText} • Up next: ${vlcStatus.nextItem.label}`.substring(0, 128);
+  }
+  return activity;
+}
+
+/**
+ * Append the stream summary ("4K HDR • Atmos") to the large image tooltip.
+ * Radio has no meaningful picture/audio format, so it is left alone.
+ */
+export function addTechnicalInfo(activity, vlcStatus) {
+  const summary = vlcStatus.technical?.summary;
+  if (summary && vlcStatus.mediaType !== 'radio') {
+    activity.largeImageText = `${activity.largeImageText} • ${summary}`.substring(0, 128);
+  }
+  return activity;
+}
+
+/**
+ * Replace the state line with the current chapter ("Chapter 7/24 • Name").
+ * Opt-in through the `showChapters` presence option.
+ */
+export function addChapterInfo(activity, vlcStatus) {
+  if (!vlcStatus.chapter || !vlcStatus.chapterCount || ['music', 'radio'].includes(vlcStatus.mediaType)) {
+    return activity;
+  }
+  const chapter = `Chapter ${vlcStatus.chapter}/${vlcStatus.chapterCount}`;
+  activity.state = (vlcStatus.chapterName ? `${chapter} • ${vlcStatus.chapterName}` : chapter).substring(0, 128);
+  return activity;
+}
+
+/**
+ * Show the playback speed on the state line when it isn't 1x ("Movie • 1.5x")
+ */
+export function addRateInfo(activity, vlcStatus) {
+  const rate = Number(vlcStatus.rate);
+  if (!rate || rate === 1 || vlcStatus.mediaType === 'radio') {
+    return activity;
+  }
+  const speed = `${Number(rate.toFixed(2))}x`;
+  activity.state = (activity.state ? `${activity.state} • ${speed}` : speed).substring(0, 128);
+  return activity;
+}
+
 export default {
   extractCleanTitle,
   createMovieActivity,
   createTvShowActivity,
+  createMusicActivity,
+  createRadioActivity,
   createBasicActivity,
+  createIdleActivity,
+  addPlaylistInfo,
+  addTechnicalInfo,
+  addChapterInfo,
+  addRateInfo,
 };
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { PlayerAdapter } from './player-adapter.js';
+import logger from './logger.js';
+
+/**
+ * Read a recording written by SessionRecorder
+ * @param {string} filePath - JSONL recording
+ * @returns {{backend: string, startedAt: string|null, entries: Array<Object>}} Parsed recording
+ */
+export function readRecording(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  let header = null;
+  let skipped = 0;
+  const entries = [];
+
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+    if (entry.type === 'session') {
+      // Appending to an existing file starts a new session - replay the latest one
+      header = entry;
+      entries.length = 0;
+    } else if (Number.isFinite(entry.t)) {
+      entries.push(entry);
+    }
+  }
+  if (skipped > 0) {
+    logger.warn(`Skipped ${skipped} unreadable line(s) in ${filePath}`);
+  }
+
+  entries.sort((a, b) => a.t - b.t);
+  return {
+    backend: header?.backend || 'vlc',
+    startedAt: header?.startedAt || null,
+    entries,
+  };
+}
+
+/**
+ * Replay backend
+ * Feeds a SessionRecorder file back into VLCMonitor. The recording's clock
+ * starts on the first poll; each poll returns the latest entry recorded at or
+ * before `elapsed * speed`, so the monitor sees the same sequence (at its own
+ * poll rate) as it did live. Recorded failures are re-thrown.
+ */
+export class ReplayPoller extends PlayerAdapter {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.replayPath - Recording to replay
+   * @param {number} config.replaySpeed - Playback speed multiplier (default 1)
+   * @param {Function} config.clock - Time source in ms (default Date.now)
+   * @param {Function} createSource - Creates the recorded backend's adapter (used to normalize statuses)
+   */
+  constructor(config = {}, createSource = null) {
+    super(config, 'replay');
+    const recording = readRecording(config.replayPath);
+    this.backend = recording.backend;
+    this.statusEntries = recording.entries.filter(e => e.type === 'status' || (e.type === 'error' && e.source !== 'playlist'));
+    this.playlistEntries = recording.entries.filter(e => e.type === 'playlist');
+    this.speed = Number(config.replaySpeed) > 0 ? Number(config.replaySpeed) : 1;
+    this.clock = config.clock || Date.now;
+    this.source = createSource ? createSource(this.backend) : null;
+    this.replayStartedAt = null;
+    this.finished = false;
+
+    if (this.statusEntries.length === 0) {
+      throw new Error(`Recording ${config.replayPath} contains no status entries`);
+    }
+    const duration = this.statusEntries[this.statusEntries.length - 1].t;
+    logger.info(
+      `Replaying ${this.statusEntries.length} ${this.backend} polls from ${config.replayPath} ` +
+      `(${Math.round(duration / 1000)}s recorded, ${this.speed}x)`
+    );
+  }
+
+  /**
+   * Offset into the recording in ms
+   */
+  get offset() {
+    if (this.replayStartedAt === null) {
+      this.replayStartedAt = this.clock();
+    }
+    return (this.clock() - this.replayStartedAt) * this.speed;
+  }
+
+  async fetchStatus() {
+    const offset = this.offset;
+    const entry = latestEntry(this.statusEntries, offset) || this.statusEntries[0];
+
+    if (!this.finished && offset >= this.statusEntries[this.statusEntries.length - 1].t) {
+      this.finished = true;
+      logger.info('Replay finished, holding the last recorded status');
+    }
+
+    if (entry.type === 'error') {
+      const error = new Error(entry.message || 'Recorded player error');
+      error.code = entry.code || undefined;
+      if (entry.status) error.response = { status: entry.status };
+      throw error;
+    }
+    return entry.data;
+  }
+
+  async fetchPlaylist() {
+    // The first playlist is recorded just after the first status, so use it from the start
+    const entry = latestEntry(this.playlistEntries, this.offset) || this.playlistEntries[0];
+    return entry ? entry.data : null;
+  }
+
+  normalizeStatus(raw) {
+    return this.source ? this.source.normalizeStatus(raw) : super.normalizeStatus(raw);
+  }
+}
+
+function latestEntry(entries, offset) {
+  let found = null;
+  for (const entry of entries) {
+    if (entry.t > offset) break;
+    found = entry;
+  }
+  return found;
+}
+
+export default ReplayPoller;
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { PlayerAdapter } from './player-adapter.js';
+import logger from './logger.js';
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Session recorder
+ * Wraps a player adapter and appends every raw fetchStatus()/fetchPlaylist()
+ * result (or failure) to a JSONL file, one entry per line:
+ *
+ *   { "type": "session", "version": 1, "backend": "vlc", "startedAt": "..." }
+ *   { "t": 1012, "type": "status", "data": { ...status.json... } }
+ *   { "t": 2030, "type": "error", "code": "ECONNREFUSED", "message": "..." }
+ *
+ * `t` is the offset in ms from the start of the recording. ReplayPoller feeds
+ * such a file back into VLCMonitor. Recordings contain file paths and titles.
+ */
+export class SessionRecorder extends PlayerAdapter {
+  /**
+   * @param {PlayerAdapter} adapter - Adapter being recorded
+   * @param {string} filePath - JSONL file to append to
+   */
+  constructor(adapter, filePath) {
+    super(adapter.config, adapter.name);
+    this.adapter = adapter;
+    this.filePath = filePath;
+    this.startedAt = Date.now();
+    this.failed = false;
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    this.write({
+      type: 'session',
+      version: RECORDING_VERSION,
+      backend: adapter.name,
+      startedAt: new Date(this.startedAt).toISOString(),
+    });
+    logger.info(`Recording ${adapter.name} session to ${filePath}`);
+  }
+
+  // mpv diagnostics in VLCMonitor read the socket path off the adapter
+  get socketPath() {
+    return this.adapter.socketPath;
+  }
+
+  async fetchStatus() {
+    return this.record('status', () => this.adapter.fetchStatus());
+  }
+
+  async fetchPlaylist() {
+    return this.record('playlist', () => this.adapter.fetchPlaylist());
+  }
+
+  normalizeStatus(raw) {
+    return this.adapter.normalizeStatus(raw);
+  }
+
+  async sendControl(action, value) {
+    return this.adapter.sendControl(action, value);
+  }
+
+  async record(type, fetchFn) {
+    const t = Date.now() - this.startedAt;
+    try {
+      const data = await fetchFn();
+      this.write({ t, type, data });
+      return data;
+    } catch (error) {
+      this.write({
+        t,
+        type: 'error',
+        source: type,
+        code: error.code || null,
+        status: error.response?.status || null,
+        message: error.message,
+      });
+      throw error;
+    }
+  }
+
+  write(entry) {
+    if (this.failed) return;
+    try {
+      // Synchronous so each poll is on disk even if VLCord crashes right after
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      this.failed = true;
+      logger.error(`Session recording to ${this.filePath} stopped:`, error.message);
+    }
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,169 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+export const SESSION_EVENTS = ['sessionStarted', 'sessionCompleted', 'sessionEnded'];
+
+/**
+ * Viewing sessions
+ * Fed with every poll's status and playback events by VLCMonitor. A session
+ * opens when a title starts and closes on stop, title change or disconnect.
+ * Watched time only counts media time that actually played, so seeking to the
+ * end doesn't make a title "watched".
+ *
+ * Events (payload: session summary, see toSummary()):
+ * - sessionStarted
+ * - sessionCompleted: once per session, when watched time crosses the threshold
+ * - sessionEnded: with endReason 'stopped' | 'ended' | 'changed' | 'disconnected'
+ */
+export class SessionTracker extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.completionThreshold - Watched fraction that completes a session (default 0.9)
+   * @param {Function} options.clock - Time source in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    super();
+    const threshold = Number(options.completionThreshold);
+    this.completionThreshold = threshold > 0 && threshold <= 1 ? threshold : 0.9;
+    this.clock = options.clock || Date.now;
+    this.current = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Process one poll
+   * @param {Object|null} previous - Status from the previous poll
+   * @param {Object} current - Status from this poll
+   * @param {Array<Object>} events - Events from detectPlaybackEvents(previous, current)
+   */
+  update(previous, current, events = []) {
+    const types = events.map(event => event.type);
+
+    // Progress between two polls of the same title; a seek's jump isn't watched time
+    const interrupted = ['mediaStarted', 'mediaChanged', 'seeked', 'stopped', 'disconnected'].some(type => types.includes(type));
+    if (this.current && previous?.playing && !interrupted) {
+      this.current.watchedSeconds += Math.max(0, (current.elapsed || 0) - (previous.elapsed || 0));
+    }
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'mediaStarted':
+          this.open(event.current);
+          break;
+        case 'mediaChanged':
+          this.close(types.includes('ended') ? 'ended' : 'changed');
+          this.open(event.current);
+          break;
+        case 'paused':
+          if (this.current) {
+            this.current.pauses++;
+            this.current.pausedAt = this.clock();
+          }
+          break;
+        case 'resumed':
+          this.endPause();
+          break;
+        case 'seeked':
+          if (this.current) this.current.seeks.push({ at: this.clock(), from: event.from, to: event.to });
+          break;
+        case 'stopped':
+          this.close(types.includes('ended') ? 'ended' : 'stopped');
+          break;
+        case 'disconnected':
+          this.close('disconnected');
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (this.current && current?.title) {
+      this.refresh(current);
+      this.checkCompletion();
+    }
+  }
+
+  open(status) {
+    if (this.current) this.close('changed');
+    this.current = {
+      id: this.nextId++,
+      title: status.title,
+      originalTitle: status.originalTitle || null,
+      mediaType: status.mediaType || null,
+      season: status.season ?? null,
+      episode: status.episode ?? null,
+      metadataId: status.metadata?.id ?? null,
+      length: status.length || 0,
+      startedAt: this.clock(),
+      startPosition: status.elapsed || 0,
+      watchedSeconds: 0,
+      pauses: 0,
+      pausedSeconds: 0,
+      pausedAt: status.paused ? this.clock() : null,
+      seeks: [],
+      completed: false,
+    };
+    logger.debug(`Session ${this.current.id} started: ${status.title}`);
+    this.emit('sessionStarted', this.toSummary(this.current));
+  }
+
+  // Metadata and length may arrive a poll or two after the title
+  refresh(status) {
+    if (status.metadata?.id !== undefined && status.metadata?.id !== null) {
+      this.current.metadataId = status.metadata.id;
+    }
+    if (status.length > 0) this.current.length = status.length;
+  }
+
+  checkCompletion() {
+    const session = this.current;
+    if (session.completed || !session.length) return;
+    if (session.watchedSeconds / session.length >= this.completionThreshold) {
+      session.completed = true;
+      logger.info(`Session ${session.id} completed: ${session.title}`);
+      this.emit('sessionCompleted', this.toSummary(session));
+    }
+  }
+
+  endPause() {
+    if (this.current?.pausedAt) {
+      this.current.pausedSeconds += (this.clock() - this.current.pausedAt) / 1000;
+      this.current.pausedAt = null;
+    }
+  }
+
+  close(endReason) {
+    if (!this.current) return;
+    this.endPause();
+    const summary = { ...this.toSummary(this.current), endedAt: this.clock(), endReason };
+    this.current = null;
+    logger.debug(`Session ${summary.id} ended (${endReason}): ${summary.completion}% watched`);
+    this.emit('sessionEnded', summary);
+  }
+
+  /**
+   * Public view of a session
+   * @param {Object} session - Internal session
+   * @returns {Object} Summary with completion in percent (0-100)
+   */
+  toSummary(session) {
+    const { pausedAt, ...summary } = session;
+    const completion = session.length > 0 ? Math.min(1, session.watchedSeconds / session.length) : 0;
+    return {
+      ...summary,
+      seeks: [...session.seeks],
+      watchedSeconds: Math.round(session.watchedSeconds),
+      pausedSeconds: Math.round(session.pausedSeconds + (pausedAt ? (this.clock() - pausedAt) / 1000 : 0)),
+      completion: Math.round(completion * 1000) / 10,
+    };
+  }
+
+  /**
+   * Summary of the open session, or null
+   */
+  getCurrentSession() {
+    return this.current ? this.toSummary(this.current) : null;
+  }
+}
+
+export default SessionTracker;
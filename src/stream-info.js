@@ -0,0 +1,153 @@
+/**
+ * Technical stream info
+ * Parses the "Stream N" categories of VLC's status.json (codec, resolution,
+ * colour transfer, channels, language) into a compact `technical` block.
+ * Release-name tags in the filename (DV, HDR10+, Atmos) fill in what VLC
+ * doesn't report.
+ */
+
+const VIDEO_CODECS = [
+  [/hevc|h\.?265/i, 'HEVC'],
+  [/\bav1\b|av01/i, 'AV1'],
+  [/h\.?264|\bavc/i, 'H.264'],
+  [/vp9/i, 'VP9'],
+  [/mpeg-?2|mp2v/i, 'MPEG-2'],
+  [/mpeg-?4|xvid|divx|mp4v/i, 'MPEG-4'],
+  [/vc-?1|wvc1/i, 'VC-1'],
+];
+
+const AUDIO_CODECS = [
+  [/truehd|mlp/i, 'TrueHD'],
+  [/e-?ac-?3|ec-?3|eac3/i, 'E-AC-3'],
+  [/a52|\bac-?3/i, 'AC3'],
+  [/dts/i, 'DTS'],
+  [/aac|mp4a/i, 'AAC'],
+  [/flac/i, 'FLAC'],
+  [/opus/i, 'Opus'],
+  [/vorbis/i, 'Vorbis'],
+  [/mpga|mp3|mpeg audio/i, 'MP3'],
+  [/pcm|araw|lpcm|s16l|s24l/i, 'PCM'],
+];
+
+function matchCodec(codec, table) {
+  if (!codec) return null;
+  const hit = table.find(([pattern]) => pattern.test(codec));
+  return hit ? hit[1] : null;
+}
+
+function getStreams(category) {
+  return Object.entries(category || {})
+    .filter(([name]) => /^stream\s+\d+$/i.test(name))
+    .map(([, stream]) => stream || {});
+}
+
+function streamsOfType(streams, type) {
+  return streams.filter(stream => String(stream.Type || stream.type || '').toLowerCase() === type);
+}
+
+/**
+ * Map VLC's channel layout ("Stereo", "3F2M/LFE", ...) to the usual "5.1" notation
+ * @param {string} channels - VLC channel description
+ * @returns {string|null} e.g. '2.0', '5.1', '7.1'
+ */
+export function formatChannels(channels) {
+  if (!channels) return null;
+  const value = String(channels);
+  if (/mono/i.test(value)) return '1.0';
+  if (/stereo/i.test(value)) return '2.0';
+
+  const layout = value.match(/(\d)F(?:(\d)M)?(?:(\d)R)?(\/LFE)?/i);
+  if (layout) {
+    const main = [layout[1], layout[2], layout[3]].reduce((sum, n) => sum + (Number(n) || 0), 0);
+    return `${main}.${layout[4] ? 1 : 0}`;
+  }
+  const count = value.match(/^(\d+)$/);
+  return count ? (Number(count[1]) > 5 ? `${Number(count[1]) - 1}.1` : `${count[1]}.0`) : null;
+}
+
+/**
+ * Label a frame size the way release names do
+ * Width is checked too so letterboxed (e.g. 3840x1600) content keeps its class.
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string|null} '2160p', '1080p', '720p', '576p', ...
+ */
+export function resolutionLabel(width, height) {
+  if (!width || !height) return null;
+  if (width >= 3200 || height >= 2000) return '2160p';
+  if (width >= 1800 || height >= 1000) return '1080p';
+  if (width >= 1200 || height >= 700) return '720p';
+  return `${height}p`;
+}
+
+function detectHdr(video, filename) {
+  if (/\b(DV|DoVi|Dolby[ .]?Vision)\b/i.test(filename)) return 'Dolby Vision';
+  if (/\bHDR10(\+|Plus)/i.test(filename)) return 'HDR10+';
+
+  const transfer = String(video?.Color_transfer_function || '');
+  if (/2084|\bPQ\b/i.test(transfer)) return 'HDR10';
+  if (/HLG|ARIB|B67/i.test(transfer)) return 'HLG';
+  if (/\bHDR(10)?\b/i.test(filename)) return 'HDR10';
+  return null;
+}
+
+/**
+ * Parse the technical block from status.json categories
+ * @param {Object} category - vlcData.information.category
+ * @param {string} filename - Current filename (for release tags)
+ * @returns {Object|null} Technical info, or null when VLC lists no streams
+ */
+export function parseTechnicalInfo(category, filename = '') {
+  const streams = getStreams(category);
+  if (streams.length === 0) return null;
+
+  const video = streamsOfType(streams, 'video')[0] || null;
+  const audio = streamsOfType(streams, 'audio')[0] || null;
+  const subtitle = streamsOfType(streams, 'subtitle')[0] || null;
+
+  const size = String(video?.Video_resolution || video?.Buffer_dimensions || '').match(/(\d+)\s*x\s*(\d+)/);
+  const width = size ? Number(size[1]) : null;
+  const height = size ? Number(size[2]) : null;
+  const frameRate = Number.parseFloat(video?.Frame_rate);
+
+  const audioText = `${audio?.Codec || ''} ${audio?.Description || ''}`;
+  const technical = {
+    resolution: resolutionLabel(width, height),
+    width,
+    height,
+    frameRate: Number.isFinite(frameRate) ? Math.round(frameRate * 1000) / 1000 : null,
+    videoCodec: matchCodec(video?.Codec, VIDEO_CODECS),
+    hdr: video ? detectHdr(video, filename) : null,
+    audioCodec: matchCodec(audio?.Codec, AUDIO_CODECS),
+    audioChannels: formatChannels(audio?.Channels),
+    atmos: /atmos|\bjoc\b/i.test(audioText) || /\batmos\b/i.test(filename),
+    audioLanguage: audio?.Language || null,
+    subtitleLanguage: subtitle?.Language || null,
+  };
+  technical.summary = formatTechnicalSummary(technical);
+  return technical;
+}
+
+/**
+ * Short human summary, e.g. "4K HDR • Atmos" or "1080p • DTS 5.1"
+ * @param {Object} technical - Block from parseTechnicalInfo()
+ * @returns {string} Summary (empty when nothing is known)
+ */
+export function formatTechnicalSummary(technical) {
+  if (!technical) return '';
+  const parts = [];
+
+  const resolution = technical.resolution === '2160p' ? '4K' : technical.resolution;
+  const hdr = technical.hdr === 'HDR10' ? 'HDR' : technical.hdr;
+  const picture = [resolution, hdr].filter(Boolean).join(' ');
+  if (picture) parts.push(picture);
+
+  if (technical.atmos) {
+    parts.push('Atmos');
+  } else if (technical.audioCodec) {
+    parts.push([technical.audioCodec, technical.audioChannels].filter(Boolean).join(' '));
+  }
+  return parts.join(' • ');
+}
+
+export default parseTechnicalInfo;
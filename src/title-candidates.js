@@ -0,0 +1,136 @@
+/**
+ * Title candidate scoring
+ * parseVLCStatus() gathers candidate names (meta title, file name, parent and
+ * grandparent folders). Each is cleaned and scored so the status can say which
+ * one won and why, and close runners-up can be tried against TMDb as well.
+ */
+
+// How much a source is trusted before looking at what was parsed out of it
+export const SOURCE_WEIGHTS = {
+  meta: 0.45,
+  filename: 0.4,
+  parent: 0.3,
+  grandparent: 0.2,
+};
+
+// Runners-up within this margin of the winner are also tried against TMDb
+export const CLOSE_SCORE_MARGIN = 0.1;
+
+// Folder names that never identify a title ("Season 01", "Extras", "Movies", ...)
+const GENERIC_NAME = /^(?:(?:season|series|staffel|saison|temporada|disc|disk|cd|dvd|part|vol(?:ume)?)[\s._-]*\d+|s\d{1,2}|extras?|featurettes?|samples?|subs|subtitles|movies?|films?|tv|tv shows?|shows?|series|anime|videos?|downloads?|media|completed?)$/i;
+
+const isUnknown = (title) => !title || title === 'Unknown' || title === 'Unknown Media';
+const letters = (text) => String(text || '').replace(/[^\p{L}\p{N}]/gu, '').length;
+
+/**
+ * Score one candidate
+ * @param {Object} candidate - { text, source }
+ * @param {Object} cleanInfo - cleanTitle() result for candidate.text
+ * @returns {Object} { text, source, title, year, season, episode, airDate, score, reasons, cleanInfo }
+ */
+export function scoreCandidate(candidate, cleanInfo) {
+  const title = cleanInfo?.showTitle || cleanInfo?.title || null;
+  const result = {
+    text: candidate.text,
+    source: candidate.source,
+    title: isUnknown(title) ? null : title,
+    year: cleanInfo?.year || null,
+    season: cleanInfo?.season ?? null,
+    episode: cleanInfo?.episode ?? null,
+    airDate: cleanInfo?.airDate || null,
+    score: 0,
+    reasons: [],
+    cleanInfo,
+  };
+  if (!result.title) {
+    result.reasons.push('no title found');
+    return result;
+  }
+
+  let score = SOURCE_WEIGHTS[candidate.source] ?? 0.2;
+  result.reasons.push(`${candidate.source} (+${score})`);
+
+  if (GENERIC_NAME.test(candidate.text.trim())) {
+    score -= 0.5;
+    result.reasons.push('generic folder name (-0.5)');
+  }
+  if (result.season !== null && result.episode !== null) {
+    score += 0.3;
+    result.reasons.push('season and episode (+0.3)');
+  } else if (result.airDate) {
+    score += 0.3;
+    result.reasons.push('air date (+0.3)');
+  } else if (result.season !== null || result.episode !== null) {
+    score += 0.15;
+    result.reasons.push(`${result.season !== null ? 'season' : 'episode'} only (+0.15)`);
+  }
+  if (result.year) {
+    score += 0.15;
+    result.reasons.push('year (+0.15)');
+  }
+
+  // Share of the name that was release noise (quality, codec, group, ...);
+  // the year, episode and air date markers were already credited above
+  const informative = candidate.text
+    .replace(/\b(?:19|20)\d{2}[\s._-]\d{2}[\s._-]\d{2}\b/g, result.airDate ? ' ' : '$&')
+    .replace(/\b(?:19|20)\d{2}\b/g, result.year ? ' ' : '$&')
+    .replace(/\bs\d{1,2}[\s._-]*e\d{1,3}\b|\b\d{1,2}x\d{2,3}\b/gi, ' ');
+  const total = letters(informative);
+  const noise = total > 0 ? Math.min(1, Math.max(0, 1 - letters(title) / total)) : 0;
+  if (noise > 0) {
+    const penalty = Math.round(noise * 0.2 * 100) / 100;
+    score -= penalty;
+    result.reasons.push(`${Math.round(noise * 100)}% noise (-${penalty})`);
+  }
+
+  result.score = Math.round(score * 100) / 100;
+  return result;
+}
+
+/**
+ * Score and rank candidates, best first
+ * Equal scores keep the gathering order (meta, folders, file name).
+ * @param {Array<Object>} candidates - { text, source }
+ * @param {Function} clean - cleanTitle
+ * @returns {Array<Object>} Scored candidates
+ */
+export function rankCandidates(candidates, clean) {
+  return candidates
+    .map((candidate, index) => ({ ...scoreCandidate(candidate, clean(candidate.text)), index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...scored }) => scored);
+}
+
+/**
+ * Human-readable reason a candidate won
+ * @param {Object} winner - Top scored candidate
+ * @param {Object|undefined} runnerUp - Second candidate
+ * @returns {string} Reason
+ */
+export function describeChoice(winner, runnerUp) {
+  const margin = runnerUp ? ` - ahead of ${runnerUp.source} "${runnerUp.text}" (${runnerUp.score})` : '';
+  return `${winner.source} "${winner.text}" scored ${winner.score}: ${winner.reasons.join(', ')}${margin}`;
+}
+
+/**
+ * Runners-up close enough to the winner to be worth a TMDb search
+ * @param {Array<Object>} ranked - Public candidates from status.titleCandidates
+ * @returns {Array<Object>} At most one { title, year, season, episode, airDate } with a different title
+ */
+export function closeAlternatives(ranked) {
+  if (!Array.isArray(ranked) || ranked.length < 2 || !ranked[0].title) return [];
+  const [winner] = ranked;
+  const normalize = (title) => String(title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+  const alternative = ranked.slice(1).find(candidate =>
+    candidate.title &&
+    candidate.score > 0 &&
+    Math.round((winner.score - candidate.score) * 100) / 100 <= CLOSE_SCORE_MARGIN &&
+    normalize(candidate.title) !== normalize(winner.title)
+  );
+  return alternative
+    ? [{ title: alternative.title, year: alternative.year, season: alternative.season, episode: alternative.episode, airDate: alternative.airDate }]
+    : [];
+}
+
+export default rankCandidates;
@@ -4,6 +4,9 @@
  */
 
 import ptn from 'parse-torrent-name';
+import { extractIdTags, stripIdTags } from './id-tags.js';
+import { matchEpisodeRange, formatEpisodeCode } from './episode-range.js';
+import { detectSpecial } from './tv-show-helper.js';
 
 // Constants and patterns
 const PATTERNS = {
@@ -18,10 +21,11 @@ const PATTERNS = {
   
   // TV show detection patterns
   TV_PATTERNS: {
-    seasonEpisode: /s(\d{1,2})[\.\s]*e(\d{1,2})(?:[\.\s]*e\d{1,2})?/i,
+    seasonEpisode: /s(\d{1,2})[\.\s]*e(\d{1,2})/i,
     episodeFormat: /episode[.\s](\d{1,2})/i,
     seasonFormat: /season[.\s](\d{1,2})/i,
-    numberFormat: /(\d{1,2})x(\d{1,2})/i
+    numberFormat: /(\d{1,2})x(\d{1,2})/i,
+    airDate: /(?:^|[\s._-])((?:19|20)\d{2})[\s._-](\d{2})[\s._-](\d{2})(?=$|[\s._-])/
   },
   
   // Movie patterns
@@ -71,8 +75,8 @@ function cleanTitle(filename) {
     };
   }
 
-  // Remove file extension
-  const cleanName = filename.replace(/\.(mkv|mp4|avi|m4v|mov|wmv|flv|webm|m2ts|ts)$/i, '');
+  // Remove file extension and [tmdbid-123]-style tags (kept in mediaInfo.ids)
+  const cleanName = stripIdTags(filename.replace(/\.(mkv|mp4|avi|m4v|mov|wmv|flv|webm|m2ts|ts)$/i, ''));
   const lowerFilename = cleanName.toLowerCase();
   
   // Use parse-torrent-name for initial parsing
@@ -94,7 +98,12 @@ function cleanTitle(filename) {
     audio: parsed.audio || null,
     group: parsed.group || null,
     cleaned: null,
-    tmdbId: null
+    tmdbId: null,
+    episodeEnd: null,
+    absoluteEpisode: null,
+    airDate: null,
+    special: null,
+    ids: extractIdTags(filename)
   };
 
   // Handle special cases early
@@ -102,8 +111,8 @@ function cleanTitle(filename) {
     return finalizeMediaInfo(mediaInfo);
   }
   
-  // Extract TV show information
-  if (extractSeasonEpisodeInfo(lowerFilename, parsed, mediaInfo)) {
+  // Extract TV show information; daily shows are named by air date instead
+  if (extractAirDateInfo(lowerFilename, mediaInfo) || extractSeasonEpisodeInfo(lowerFilename, parsed, mediaInfo)) {
     mediaInfo.type = 'tv';
   }
   
@@ -111,6 +120,9 @@ function cleanTitle(filename) {
   if (detectAnime(lowerFilename, parsed, mediaInfo)) {
     mediaInfo.type = 'anime';
   }
+
+  // Specials, OVAs and OADs: season 0, matched against TMDb's specials list at lookup
+  extractSpecialInfo(cleanName, mediaInfo);
   
   // Handle special numeric titles (e.g., 300, 1917)
   handleSpecialNumericTitles(lowerFilename, parsed, mediaInfo);
@@ -173,6 +185,8 @@ function handleSpecialCases(filename, parsed, mediaInfo) {
     if (seasonEpisodeMatch) {
       mediaInfo.season = parseInt(seasonEpisodeMatch[1], 10);
       mediaInfo.episode = parseInt(seasonEpisodeMatch[2], 10);
+      const range = matchEpisodeRange(lowerFilename.slice(seasonEpisodeMatch.index + seasonEpisodeMatch[0].length), mediaInfo.episode);
+      mediaInfo.episodeEnd = range ? range.end : null;
     }
     return true;
   }
@@ -204,6 +218,71 @@ function handleSpecialCases(filename, parsed, mediaInfo) {
   return false;
 }
 
+/**
+ * Detect daily shows named by air date (The.Daily.Show.2024.03.15.Guest.Name)
+ * The date identifies the episode, so it must not be read as a movie year.
+ * Releases with an S01E01/1x01 marker are numbered already, a date there is just a date.
+ */
+function extractAirDateInfo(filename, mediaInfo) {
+  const match = filename.match(PATTERNS.TV_PATTERNS.airDate);
+  if (!match) return false;
+  if (PATTERNS.TV_PATTERNS.seasonEpisode.test(filename) || /(?:^|[^\d])\d{1,2}x\d{1,2}(?!\d)/i.test(filename)) {
+    return false;
+  }
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return false;
+  }
+
+  const before = filename.slice(0, match.index);
+  if (!sanitizeInput(before)) return false;
+
+  mediaInfo.airDate = `${year}-${month}-${day}`;
+  mediaInfo.year = null;
+  mediaInfo.season = null;
+  mediaInfo.episode = null;
+  mediaInfo.showTitle = formatTitle(sanitizeInput(before));
+  mediaInfo.title = mediaInfo.showTitle;
+
+  // Whatever precedes the release tags is usually the guest or episode title
+  const after = filename.slice(match.index + match[0].length).replace(/[._]/g, ' ');
+  const tagStart = after.search(/\b(?:\d{3,4}p|web|webrip|web-dl|hdtv|x264|x265|h264|h265|hevc|aac)\b/i);
+  const episodeTitle = (tagStart >= 0 ? after.slice(0, tagStart) : after).replace(/^[\s-]+|[\s-]+$/g, '');
+  mediaInfo.episodeTitle = episodeTitle ? formatTitle(episodeTitle) : null;
+
+  return true;
+}
+
+/**
+ * Mark specials (S00E05, "OVA 2", "Christmas Special") as season 0
+ */
+function extractSpecialInfo(filename, mediaInfo) {
+  const special = detectSpecial(filename);
+  if (!special) return false;
+  // A release dated like a movie stays a movie unless it says S00Exx
+  const dated = /(?:^|[\s._(\[-])(?:19|20)\d{2}(?=$|[\s._)\]-])/.test(filename);
+  if (mediaInfo.type === 'movie' && dated && !/\bs00[\s._-]*e\d/i.test(filename)) return false;
+
+  mediaInfo.special = special;
+  mediaInfo.season = 0;
+  mediaInfo.episode = special.number;
+  mediaInfo.absoluteEpisode = null;
+  if (special.title && !mediaInfo.episodeTitle) {
+    mediaInfo.episodeTitle = special.title;
+  }
+  if (mediaInfo.type === 'movie') {
+    mediaInfo.type = 'tv';
+  }
+  // "Show - OVA 2" leaves the tag in the parsed title
+  if (special.showTitle && (!mediaInfo.showTitle || /\b(?:ova|oad|special)\b/i.test(mediaInfo.title || ''))) {
+    mediaInfo.showTitle = formatTitle(special.showTitle);
+    mediaInfo.title = mediaInfo.showTitle;
+  }
+  return true;
+}
+
 /**
  * Detect TV shows and extract season/episode information
  */
@@ -215,9 +294,13 @@ function extractSeasonEpisodeInfo(filename, parsed, mediaInfo) {
   if (seasonEpisodeMatch) {
     mediaInfo.season = parseInt(seasonEpisodeMatch[1], 10);
     mediaInfo.episode = parseInt(seasonEpisodeMatch[2], 10);
+
+    // Multi-episode file (S01E01-E03, S01E01E02)
+    const range = matchEpisodeRange(lowerFilename.slice(seasonEpisodeMatch.index + seasonEpisodeMatch[0].length), mediaInfo.episode);
+    mediaInfo.episodeEnd = range ? range.end : null;
     
     // Extract show title from before the pattern
-    const parts = lowerFilename.split(seasonEpisodeMatch[0]);
+    const parts = lowerFilename.split(seasonEpisodeMatch[0] + (range ? range.text : ''));
     if (parts[0]) {
       mediaInfo.showTitle = formatTitle(sanitizeInput(parts[0]));
       mediaInfo.title = mediaInfo.showTitle;
@@ -238,6 +321,10 @@ function extractSeasonEpisodeInfo(filename, parsed, mediaInfo) {
   if (altFormatMatch) {
     mediaInfo.season = parseInt(altFormatMatch[1], 10);
     mediaInfo.episode = parseInt(altFormatMatch[2], 10);
+
+    // Multi-episode file (1x01-02)
+    const range = matchEpisodeRange(lowerFilename.slice(altFormatMatch.index + altFormatMatch[0].length), mediaInfo.episode);
+    mediaInfo.episodeEnd = range ? range.end : null;
     
     // Extract show title from before the pattern
     const parts = lowerFilename.split(altFormatMatch[0]);
@@ -300,6 +387,15 @@ function detectAnime(filename, parsed, mediaInfo) {
       mediaInfo.group = groupMatch[1];
     }
     
+    // Fansub releases number episodes across seasons: "[Group] One Piece - 1085 (1080p)"
+    if (!mediaInfo.season) {
+      const absoluteMatch = filename.match(/\s-\s(\d{1,4})(?:v\d)?(?=\s*(?:[[(]|$))/);
+      if (absoluteMatch) {
+        mediaInfo.episode = parseInt(absoluteMatch[1], 10);
+        mediaInfo.absoluteEpisode = mediaInfo.episode;
+      }
+    }
+
     // Try to extract season/episode if not already found
     if (!mediaInfo.episode) {
       // Look for episode patterns specific to anime
@@ -453,9 +549,20 @@ function finalizeMediaInfo(mediaInfo) {
   // Include year in cleaned title for movies
   if (mediaInfo.type === 'movie' && mediaInfo.year) {
     mediaInfo.cleaned = `${mediaInfo.title} (${mediaInfo.year})`;
+  } else if (mediaInfo.type === 'tv' && mediaInfo.airDate) {
+    mediaInfo.cleaned = `${mediaInfo.title} ${mediaInfo.airDate}`;
+    if (mediaInfo.episodeTitle) {
+      mediaInfo.cleaned += `: ${mediaInfo.episodeTitle}`;
+    }
+  } else if (mediaInfo.type === 'tv' && mediaInfo.season === 0) {
+    // Specials
+    mediaInfo.cleaned = `${mediaInfo.title} ${formatEpisodeCode(0, mediaInfo.episode)}`;
+    if (mediaInfo.episodeTitle) {
+      mediaInfo.cleaned += `: ${mediaInfo.episodeTitle}`;
+    }
   } else if (mediaInfo.type === 'tv' && mediaInfo.season && mediaInfo.episode) {
     // Format TV show with season/episode
-    mediaInfo.cleaned = `${mediaInfo.title} S${mediaInfo.season.toString().padStart(2, '0')}E${mediaInfo.episode.toString().padStart(2, '0')}`;
+    mediaInfo.cleaned = `${mediaInfo.title} ${formatEpisodeCode(mediaInfo.season, mediaInfo.episode, mediaInfo.episodeEnd)}`;
     
     // Add episode title if available
     if (mediaInfo.episodeTitle) {
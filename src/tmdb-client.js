@@ -2,9 +2,10 @@ import fetch from 'node-fetch';
 import { retryWithBackoff } from './retry-helper.js';
 import { titleOverrides } from './tmdb-overrides.js';
 import { tvShowOverrides } from './tv-show-overrides.js';
-import { extractTvInfo, enhanceTmdbResult } from './tv-show-helper.js';
+import { extractTvInfo, enhanceTmdbResult, matchSpecialEpisode } from './tv-show-helper.js';
 import { formatMovieData as fmtMovie, formatTvShowData as fmtTv, formatEpisodeNumber as fmtEpisode, formatRuntime as fmtRuntime } from './tmdb-format.js';
 import logger from './logger.js';
+import { ABSOLUTE_GROUP_TYPE, mapFromEpisodeGroup, mapFromSeasonCounts } from './absolute-episodes.js';
 
 /**
  * @typedef {Object} MovieMetadata
@@ -259,9 +260,11 @@ export class TMDbClient {
    * @param {number|null} season - Optional season number
    * @param {number|null} episode - Optional episode number
    * @param {string} originalFilename - Original filename for additional context
+   * @param {Object} options - Options
+   * @param {Object} options.special - detectSpecial() result; season 0 episodes are matched against the specials list
    * @returns {Promise<TVShowMetadata|null>} Show metadata or null if not found
    */
-  async searchTvShow(title, season = null, episode = null, originalFilename = '') {
+  async searchTvShow(title, season = null, episode = null, originalFilename = '', { special = null } = {}) {
     try {
       // If we have an original filename, try to extract more accurate TV show info
       let extractedTvInfo = { season, episode, episodeTitle: null, showTitle: null };
@@ -285,6 +288,7 @@ export class TMDbClient {
         
         // Save for later use
         extractedTvInfo = extractedInfo;
+        special = special || extractedInfo.special;
       }
       
       // Clean up the title for better matching
@@ -297,6 +301,10 @@ export class TMDbClient {
           // Get show details using the override ID
           const showDetails = await this.fetchFromApi(`/tv/${overrideId}`, { append_to_response: 'external_ids' });
           
+          if (season === 0 && special) {
+            episode = await this.findSpecialEpisode(overrideId, special) ?? episode;
+          }
+
           // If season and episode are provided, get episode details
           let episodeDetails = null;
           if (season !== null && episode !== null) {
@@ -367,6 +375,10 @@ export class TMDbClient {
         // Get basic show details
         const showDetails = await this.fetchFromApi(`/tv/${showId}`, { append_to_response: 'external_ids' });
         
+        if (season === 0 && special) {
+          episode = await this.findSpecialEpisode(showId, special) ?? episode;
+        }
+
         // If season and episode are provided, get episode details
         let episodeDetails = null;
         if (season !== null && episode !== null) {
@@ -508,6 +520,226 @@ export class TMDbClient {
     }
   }
 
+  /**
+   * Fetch a movie directly by its TMDb ID
+   * @param {number|string} movieId - TMDb movie ID
+   * @returns {Promise<MovieMetadata|null>} Movie metadata or null if not found
+   */
+  async getMovieById(movieId) {
+    try {
+      const movieDetails = await this.fetchFromApi(`/movie/${movieId}`, {
+        append_to_response: 'credits,videos,external_ids'
+      });
+      return this.formatMovieData(movieDetails);
+    } catch (error) {
+      logger.error(`Error fetching movie ${movieId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a TV show (and optionally one episode) directly by its TMDb ID
+   * @param {number|string} showId - TMDb TV show ID
+   * @param {number|null} season - Optional season number
+   * @param {number|null} episode - Optional episode number
+   * @returns {Promise<TVShowMetadata|null>} Show metadata or null if not found
+   */
+  async getTvShowById(showId, season = null, episode = null) {
+    try {
+      const showDetails = await this.fetchFromApi(`/tv/${showId}`, { append_to_response: 'external_ids' });
+
+      let episodeDetails = null;
+      if (season !== null && episode !== null) {
+        try {
+          episodeDetails = await this.fetchFromApi(`/tv/${showId}/season/${season}/episode/${episode}`);
+        } catch (error) {
+          logger.warn(`Episode details not found for show ${showId} S${season}E${episode}`);
+        }
+      }
+
+      return this.formatTvShowData(showDetails, episodeDetails, season, episode);
+    } catch (error) {
+      logger.error(`Error fetching TV show ${showId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Match a special, OVA or OAD against the show's season 0 episode list
+   * @param {number|string} showId - TMDb TV show ID
+   * @param {Object} special - detectSpecial() result
+   * @returns {Promise<number|null>} Season 0 episode number or null
+   */
+  async findSpecialEpisode(showId, special) {
+    try {
+      const specials = await this.fetchFromApi(`/tv/${showId}/season/0`);
+      const episode = matchSpecialEpisode(specials?.episodes, special);
+      if (episode === null) {
+        logger.debug(`No special of show ${showId} matches ${JSON.stringify(special)}`);
+      }
+      return episode;
+    } catch (error) {
+      logger.warn(`Specials not found for show ${showId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the episodes of a multi-episode file
+   * One season request covers the whole range.
+   * @param {number|string} showId - TMDb TV show ID
+   * @param {number} season - Season number
+   * @param {number} from - First episode
+   * @param {number} to - Last episode
+   * @returns {Promise<Array<Object>>} { episodeNumber, episodeTitle, episodeOverview, episodeRuntime } per episode found
+   */
+  async getEpisodeRange(showId, season, from, to) {
+    try {
+      const details = await this.fetchFromApi(`/tv/${showId}/season/${season}`);
+      return (details?.episodes || [])
+        .filter(episode => episode.episode_number >= from && episode.episode_number <= to)
+        .sort((a, b) => a.episode_number - b.episode_number)
+        .map(episode => ({
+          episodeNumber: episode.episode_number,
+          episodeTitle: episode.name || null,
+          episodeOverview: episode.overview || null,
+          episodeRuntime: episode.runtime || null,
+        }));
+    } catch (error) {
+      logger.warn(`Episodes ${from}-${to} not found for show ${showId} season ${season}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Find a daily show's episode by air date
+   * Seasons that started on or before the date are scanned newest first (talk
+   * shows run one season per year or so), and each season's episode list is
+   * matched against the date.
+   * @param {number|string} showId - TMDb TV show ID
+   * @param {string} airDate - 'YYYY-MM-DD'
+   * @param {Object} options - Options
+   * @param {number} options.maxSeasons - Seasons to scan at most (default 3)
+   * @returns {Promise<Object|null>} { season, episode } or null
+   */
+  async findEpisodeByAirDate(showId, airDate, { maxSeasons = 3 } = {}) {
+    try {
+      const show = await this.fetchFromApi(`/tv/${showId}`);
+      const seasons = (show?.seasons || [])
+        .filter(season => season.season_number > 0 && season.air_date && season.air_date <= airDate)
+        .sort((a, b) => b.air_date.localeCompare(a.air_date))
+        .slice(0, maxSeasons);
+
+      for (const season of seasons) {
+        const details = await this.fetchFromApi(`/tv/${showId}/season/${season.season_number}`);
+        const match = (details?.episodes || []).find(episode => episode.air_date === airDate);
+        if (match) {
+          return { season: match.season_number ?? season.season_number, episode: match.episode_number };
+        }
+      }
+      return null;
+    } catch (error) {
+      logger.error(`Error finding episode aired ${airDate} of show ${showId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Turn an absolute episode number into a TMDb season and episode
+   * Uses the show's "Absolute" episode group (or the given group) when there is
+   * one, otherwise the regular seasons' episode counts.
+   * @param {number|string} showId - TMDb TV show ID
+   * @param {number} absolute - 1-based absolute episode number
+   * @param {Object} options - Options
+   * @param {string} options.episodeGroupId - Episode group to use instead of looking one up
+   * @returns {Promise<Object|null>} { season, episode, source: 'episodeGroup'|'seasons' } or null
+   */
+  async resolveAbsoluteEpisode(showId, absolute, { episodeGroupId = null } = {}) {
+    try {
+      let groupId = episodeGroupId;
+      if (!groupId) {
+        const groups = await this.fetchFromApi(`/tv/${showId}/episode_groups`);
+        groupId = groups?.results?.find(group => group.type === ABSOLUTE_GROUP_TYPE)?.id || null;
+      }
+      if (groupId) {
+        const mapped = mapFromEpisodeGroup(await this.fetchFromApi(`/tv/episode_group/${groupId}`), absolute);
+        if (mapped) return { ...mapped, source: 'episodeGroup' };
+      }
+
+      const show = await this.fetchFromApi(`/tv/${showId}`);
+      const mapped = mapFromSeasonCounts(show?.seasons, absolute);
+      return mapped ? { ...mapped, source: 'seasons' } : null;
+    } catch (error) {
+      logger.error(`Error resolving absolute episode ${absolute} of show ${showId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve an IMDb or TVDB ID to a TMDb entry via the /find endpoint
+   * @param {string} externalId - e.g. 'tt0111161' or '81189'
+   * @param {string} source - 'imdb_id' or 'tvdb_id'
+   * @returns {Promise<Object|null>} { type: 'movie'|'tv'|'episode', id, showId, season, episode } or null
+   */
+  async findByExternalId(externalId, source = 'imdb_id') {
+    try {
+      const results = await this.fetchFromApi(`/find/${encodeURIComponent(externalId)}`, {
+        external_source: source
+      });
+
+      if (results?.movie_results?.length) {
+        return { type: 'movie', id: results.movie_results[0].id };
+      }
+      if (results?.tv_results?.length) {
+        return { type: 'tv', id: results.tv_results[0].id };
+      }
+      if (results?.tv_episode_results?.length) {
+        const ep = results.tv_episode_results[0];
+        return { type: 'episode', id: ep.id, showId: ep.show_id, season: ep.season_number, episode: ep.episode_number };
+      }
+      return null;
+    } catch (error) {
+      logger.error(`Error resolving ${source} ${externalId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch metadata from authoritative IDs instead of searching by title
+   * TMDb IDs are used directly, IMDb/TVDB IDs are resolved through /find first.
+   * @param {Object} ids - { tmdb, imdb, tvdb }
+   * @param {Object} context - Lookup context
+   * @param {string} context.mediaType - 'movie', 'tv', 'anime' or 'unknown'
+   * @param {number|null} context.season - Season number (TV only)
+   * @param {number|null} context.episode - Episode number (TV only)
+   * @returns {Promise<MovieMetadata|TVShowMetadata|null>} Metadata or null
+   */
+  async lookupByIds(ids, { mediaType = 'unknown', season = null, episode = null } = {}) {
+    if (!ids) return null;
+    const isTv = mediaType === 'tv' || mediaType === 'anime' || (season !== null && episode !== null);
+
+    if (ids.tmdb) {
+      return isTv
+        ? this.getTvShowById(ids.tmdb, season, episode)
+        : this.getMovieById(ids.tmdb);
+    }
+
+    const external = ids.imdb
+      ? await this.findByExternalId(ids.imdb, 'imdb_id')
+      : ids.tvdb
+        ? await this.findByExternalId(ids.tvdb, 'tvdb_id')
+        : null;
+    if (!external) return null;
+
+    if (external.type === 'movie') {
+      return this.getMovieById(external.id);
+    }
+    if (external.type === 'episode') {
+      return this.getTvShowById(external.showId, season ?? external.season, episode ?? external.episode);
+    }
+    return this.getTvShowById(external.id, season, episode);
+  }
+
   formatMovieData(movie) {
     return fmtMovie(movie, this.imageBaseUrl);
   }
@@ -55,7 +55,7 @@ export function formatTvShowData(show, episode = null, seasonNumber = null, epis
       episodeVoteCount: episode.vote_count || null,
       episodeCrew: episode.crew ? episode.crew.slice(0, 3).map(c => ({ name: c.name, job: c.job })) : null,
       episodeGuestStars: episode.guest_stars ? episode.guest_stars.slice(0, 3).map(g => g.name).join(', ') : null,
-      formattedEpisode: `S${episode.season_number.toString().padStart(2, '0')}E${episode.episode_number.toString().padStart(2, '0')}`,
+      formattedEpisode: formatEpisodeNumber(episode.season_number, episode.episode_number),
       fullEpisodeInfo: `${show.name} ${formatEpisodeNumber(episode.season_number, episode.episode_number)} - ${episode.name}`,
     };
   } else if (seasonNumber !== null && episodeNumber !== null) {
@@ -63,7 +63,7 @@ export function formatTvShowData(show, episode = null, seasonNumber = null, epis
       ...baseData,
       seasonNumber,
       episodeNumber,
-      formattedEpisode: `S${seasonNumber.toString().padStart(2, '0')}E${episodeNumber.toString().padStart(2, '0')}`,
+      formattedEpisode: formatEpisodeNumber(seasonNumber, episodeNumber),
       fullEpisodeInfo: `${show.name} ${formatEpisodeNumber(seasonNumber, episodeNumber)}`,
     };
   }
@@ -71,7 +71,9 @@ export function formatTvShowData(show, episode = null, seasonNumber = null, epis
   return baseData;
 }
 
+// Season 0 holds a show's specials on TMDb
 export function formatEpisodeNumber(season, episode) {
+  if (season === 0) return 'Special';
   return `S${season.toString().padStart(2, '0')}E${episode.toString().padStart(2, '0')}`;
 }
 
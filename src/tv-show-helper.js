@@ -28,6 +28,8 @@
   }rmatting
  */
 
+import { matchEpisodeRange, formatEpisodeCode } from './episode-range.js';
+
 /**
  * Detects TV show patterns in a filename
  * @param {string} filename - The filename to analyze
@@ -77,6 +79,8 @@ export function isTvShow(filename) {
   /e\d{1,3}[\s\._-]+e\d{1,3}/i,             // E01-E02 format with various separators
   /e\d{1,3}&e\d{1,3}/i,                     // E01&E02 format
   /e\d{1,3}~e\d{1,3}/i,                     // E01~E02 format (sometimes used)
+  // Daily shows named by air date
+  /\b(?:19|20)\d{2}[\s\._-](?:0[1-9]|1[0-2])[\s\._-](?:0[1-9]|[12]\d|3[01])\b/,  // 2024.03.15 format
   // IMPROVEMENT #3: Enhanced special episode format handling
   /\bpart\.?\d+\b/i,                        // Part1, Part.1 format
   /\b\d+\s*of\s*\d+\b/i,                     // 1 of 7 format with spaces
@@ -108,6 +112,11 @@ export function isTvShow(filename) {
   if (tvPatterns.some(pattern => pattern.test(filename))) {
     return true;
   }
+
+  // Specials, OVAs and OADs (season 0 on TMDb)
+  if (detectSpecial(filename)) {
+    return true;
+  }
   
   // Check context-dependent patterns
   for (const { pattern, contextRequired } of highConfidenceWithContext) {
@@ -141,6 +150,8 @@ export function extractTvInfo(filename) {
     season: null,
     episode: null,
     episodeTitle: null,
+    episodeEnd: null,
+    special: null,
     year: null
   };
 
@@ -251,6 +262,11 @@ export function extractTvInfo(filename) {
   if (standardMatch) {
     info.season = parseInt(standardMatch[1], 10);
     info.episode = parseInt(standardMatch[2], 10);
+
+    // Multi-episode file (S01E01-E03, S01E01E02); the episode title follows the whole range
+    const range = matchEpisodeRange(normalizedFilename.slice(standardMatch.index + standardMatch[0].length), info.episode);
+    info.episodeEnd = range ? range.end : null;
+    const rangeSuffix = range ? escapeRegExp(range.text) : '';
     
     // Try to extract show title before the S01E01 pattern (more permissive)
     const titleMatch = normalizedFilename.match(/^(.+?)[\s\._-]+s\d{1,2}[\s\._-]*e\d{1,3}/i);
@@ -261,13 +277,13 @@ export function extractTvInfo(filename) {
     // Try to extract episode title after the S01E01 pattern with multiple patterns
     const episodePatterns = [
       // Handle dot/space separated episode titles
-      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}[\\s\\._-]+([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'),
+      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}${rangeSuffix}[\\s\\._-]+([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'),
       
       // Handle episodes with a dash delimiter
-      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}[\\s\\._-]+[-–]\\s*([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'),
+      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}${rangeSuffix}[\\s\\._-]+[-–]\\s*([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'),
       
       // Fallback pattern - less strict
-      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}[\\s\\._-]+(.+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|\\.|$)`, 'i')
+      new RegExp(`s${standardMatch[1]}[\\s\\._-]*e${standardMatch[2]}${rangeSuffix}[\\s\\._-]+(.+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|\\.|$)`, 'i')
     ];
     
     // Try each pattern in order of specificity
@@ -296,6 +312,10 @@ export function extractTvInfo(filename) {
     if (alternateMatch) {
       info.season = parseInt(alternateMatch[1], 10);
       info.episode = parseInt(alternateMatch[2], 10);
+
+      // Multi-episode file (1x01-02)
+      const range = matchEpisodeRange(normalizedFilename.slice(alternateMatch.index + alternateMatch[0].length), info.episode);
+      info.episodeEnd = range ? range.end : null;
       
       // Extract show title
       const titleMatch = normalizedFilename.match(/^(.+?)[\s\._-]+\d{1,2}x\d{2,3}/i);
@@ -304,7 +324,7 @@ export function extractTvInfo(filename) {
       }
       
       // Try to extract episode title after the NxNN pattern
-      const episodeTitleMatch = normalizedFilename.match(new RegExp(`${alternateMatch[1]}x${alternateMatch[2]}[\\s\\._-]+([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'));
+      const episodeTitleMatch = normalizedFilename.match(new RegExp(`${alternateMatch[1]}x${alternateMatch[2]}${range ? escapeRegExp(range.text) : ''}[\\s\\._-]+([^\\[\\]\\(\\)]+?)(?=\\s\\d{3,4}p|\\s+\\[|\\s+\\(|$)`, 'i'));
       if (episodeTitleMatch && episodeTitleMatch[1]) {
         const possibleTitle = episodeTitleMatch[1].trim();
         
@@ -573,6 +593,17 @@ export function extractTvInfo(filename) {
     }
   }
   
+  // Specials live in TMDb's season 0; the episode is matched against its list later
+  const special = detectSpecial(filename);
+  if (special) {
+    info.special = special;
+    info.season = 0;
+    info.episode = special.number ?? info.episode;
+    if (!info.showTitle && special.showTitle) {
+      info.showTitle = formatTvTitle(special.showTitle);
+    }
+  }
+
   // Ensure the show title is clean
   if (info.showTitle) {
     info.showTitle = info.showTitle
@@ -789,6 +820,15 @@ function formatEpisodeTitle(title) {
   return formatted;
 }
 
+/**
+ * Escape text for use inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Capitalize the first letter of a word
  * @param {string} word - The word to capitalize
@@ -832,6 +872,89 @@ function capitalize(word) {
   return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
 }
 
+/**
+ * Detect specials: S00E05, "Special", "OVA" and "OAD" tags
+ * @param {string} filename - The filename to analyze
+ * @returns {Object|null} - { type: 'special'|'ova'|'oad', number, title, showTitle } or null
+ */
+export function detectSpecial(filename) {
+  const name = String(filename || '')
+    .replace(/\.[a-z0-9]{2,4}$/i, '')
+    .replace(/^\s*\[[^\]]*\]\s*/, '');
+
+  const seasonZero = name.match(/\bs00[\s._-]*e(\d{1,3})(?!\d)/i);
+  if (seasonZero) {
+    const showTitle = name.slice(0, seasonZero.index).replace(/[\s._-]+/g, ' ').trim();
+    return { type: 'special', number: parseInt(seasonZero[1], 10), title: null, showTitle: showTitle || null };
+  }
+
+  // A regular SxxEyy marker wins over "Special" in a title ("Law.and.Order.Special.Victims.Unit.S01E01")
+  if (/\bs\d{1,2}[\s._-]*e\d{1,3}/i.test(name)) return null;
+
+  // A bare "Special" only counts when numbered, bracketed or ending the name:
+  // followed by a year or quality tag it is a movie title ("The.Special.2020.1080p")
+  const tag = name.match(/(^|[^a-z])(ova|oad)(?:[\s._-]*(\d{1,3})(?!\d))?(?![a-z])/i)
+    || name.match(/([\s._(\[-])(special)(?:[\s._-]*(\d{1,3})(?![\dp])|(?=[\])])|(?=[\s._]*$))/i);
+  if (!tag) return null;
+
+  const start = tag.index + tag[1].length;
+  const clean = (text) => text
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(/\b(?:(?:19|20)\d{2}|\d{3,4}p|bluray|bdrip|web-?dl|webrip|x26[45]|hevc|aac|flac)\b.*$/i, ' ')
+    .replace(/[\s._]+/g, ' ')
+    .replace(/^[\s\-)\]]+|[\s\-([]+$/g, '')
+    .trim();
+
+  // "Show - Title (OVA)": the last " - " part before the tag names the special;
+  // "Show OVA - Title": whatever follows the tag does
+  const before = clean(name.slice(0, start)).split(/\s+-\s+/);
+  const after = clean(name.slice(tag.index + tag[0].length));
+  const showTitle = before[0] || null;
+  const title = after || (before.length > 1 ? before[before.length - 1] : null);
+
+  return {
+    type: tag[2].toLowerCase(),
+    number: tag[3] ? parseInt(tag[3], 10) : null,
+    title: title || null,
+    showTitle,
+  };
+}
+
+/**
+ * Pick the TMDb season 0 episode for a special
+ * A special title is matched against the episode names first; numbered OVAs
+ * and OADs are counted among the specials named as such; otherwise the number
+ * is taken as the season 0 episode.
+ * @param {Array<Object>} episodes - Season 0 episodes ({ episode_number, name })
+ * @param {Object} special - detectSpecial() result
+ * @returns {number|null} - Episode number in season 0, or null
+ */
+export function matchSpecialEpisode(episodes, special) {
+  const list = episodes || [];
+  const normalize = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+  const wanted = normalize(special?.title);
+  if (wanted) {
+    const byTitle = list.find(episode => {
+      const name = normalize(episode.name);
+      return name && (name.includes(wanted) || wanted.includes(name));
+    });
+    if (byTitle) return byTitle.episode_number;
+  }
+
+  const number = special?.number ?? null;
+  if (special?.type === 'ova' || special?.type === 'oad') {
+    const tagged = list.filter(episode => new RegExp(`\\b${special.type}\\b`, 'i').test(episode.name || ''));
+    if (number !== null && tagged[number - 1]) return tagged[number - 1].episode_number;
+    if (number === null && tagged.length === 1) return tagged[0].episode_number;
+  }
+
+  if (number !== null && list.some(episode => episode.episode_number === number)) {
+    return number;
+  }
+  return null;
+}
+
 /**
  * Enhance a TMDb search result with additional episode metadata
  * @param {Object} result - The TMDb search result
@@ -853,9 +976,12 @@ export function enhanceTmdbResult(result, tvInfo) {
       result.episodeNumber = tvInfo.episode;
     }
     
-    // Format episode code (S01E01)
-    const formattedEpisode = `S${tvInfo.season.toString().padStart(2, '0')}E${tvInfo.episode.toString().padStart(2, '0')}`;
+    // Format episode code (S01E01, or S01E01–E03 for a multi-episode file)
+    const formattedEpisode = formatEpisodeCode(tvInfo.season, tvInfo.episode, tvInfo.episodeEnd);
     result.formattedEpisode = formattedEpisode;
+    if (tvInfo.episodeEnd > tvInfo.episode) {
+      result.episodeEnd = tvInfo.episodeEnd;
+    }
     
     // Check for special cases that need direct override
     if (tvInfo.filename) {
@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { VLCMonitor } from './vlc-monitor.js';
+import logger from './logger.js';
+import { ARBITRATION_POLICIES, selectActiveInstance } from './instance-arbitration.js';
+import { PLAYBACK_EVENTS } from './playback-events.js';
+import { SESSION_EVENTS } from './session-tracker.js';
+
+/**
+ * VLC Instance Manager
+ * Runs one VLCMonitor per configured player endpoint and re-emits the status of
+ * whichever instance the arbitration policy picks. Exposes the same surface as
+ * VLCMonitor (start/stop/getCurrentStatus/updateConfig/isPaused/statusUpdate).
+ * Playback events from every instance are forwarded with `instanceId` and
+ * `active` added, so consumers can ignore instances that don't drive Discord.
+ * Session events (sessionStarted/sessionCompleted/sessionEnded) get `instanceId` too.
+ */
+export class VLCInstanceManager extends EventEmitter {
+  /**
+   * @param {Array<Object>} instances - Instance configs: { id, name, priority, backend, host, port, password, ... }
+   * @param {Object} shared - Settings applied to every instance (tmdbApiKey, pollingInterval, ...)
+   * @param {string} policy - Arbitration policy (default 'playing-first')
+   */
+  constructor(instances, shared = {}, policy = 'playing-first') {
+    super();
+    this.shared = shared;
+    this.policy = ARBITRATION_POLICIES.includes(policy) ? policy : 'playing-first';
+    if (policy && policy !== this.policy) {
+      logger.warn(`Unknown arbitration policy "${policy}", using "${this.policy}"`);
+    }
+    this.instances = new Map();
+    this.activeId = null;
+    this._isPaused = false;
+    this.buildInstances(instances);
+  }
+
+  buildInstances(instances) {
+    const list = Array.isArray(instances) && instances.length > 0 ? instances : [{}];
+    list.forEach((instanceConfig, index) => {
+      const id = String(instanceConfig.id || (index === 0 ? 'default' : `vlc-${index + 1}`));
+      if (this.instances.has(id)) {
+        logger.warn(`Duplicate VLC instance id "${id}" ignored`);
+        return;
+      }
+      const config = { ...this.shared, ...instanceConfig, id };
+      const monitor = new VLCMonitor(config);
+      monitor.isPaused = this._isPaused;
+
+      const entry = {
+        id,
+        name: instanceConfig.name || id,
+        priority: Number(instanceConfig.priority) || 0,
+        startedAt: 0,
+        lastTitle: null,
+        monitor,
+      };
+      monitor.on('statusUpdate', (status) => this.handleStatusUpdate(entry, status));
+      monitor.on('playbackEvent', (event) => this.forwardPlaybackEvent(entry, event));
+      for (const type of SESSION_EVENTS) {
+        monitor.on(type, (session) => this.emit(type, { ...session, instanceId: id }));
+      }
+      this.instances.set(id, entry);
+    });
+    this.activeId = this.instances.keys().next().value;
+  }
+
+  handleStatusUpdate(entry, status) {
+    const hasMedia = status.connected && (status.playing || status.paused);
+    if (!hasMedia) {
+      entry.startedAt = 0;
+      entry.lastTitle = null;
+    } else if (status.title !== entry.lastTitle) {
+      // A new title counts as "started" for the most-recent policy
+      entry.startedAt = Date.now();
+      entry.lastTitle = status.title;
+    }
+
+    const previous = this.activeId;
+    this.activeId = this.selectActive();
+    if (previous !== this.activeId) {
+      logger.info(`Active VLC instance changed: ${previous} -> ${this.activeId}`);
+    } else if (entry.id !== this.activeId) {
+      // Background instance polled without taking over - nothing new to show
+      return;
+    }
+
+    this.emit('statusUpdate', this.getCurrentStatus());
+  }
+
+  forwardPlaybackEvent(entry, event) {
+    // Events fire before statusUpdate, so arbitrate against the fresh status here
+    const forwarded = { ...event, instanceId: entry.id, active: entry.id === this.selectActive() };
+    if (PLAYBACK_EVENTS.includes(event.type)) {
+      this.emit(event.type, forwarded);
+    }
+    this.emit('playbackEvent', forwarded);
+  }
+
+  selectActive() {
+    const entries = [...this.instances.values()].map(entry => ({
+      id: entry.id,
+      priority: entry.priority,
+      startedAt: entry.startedAt,
+      status: entry.monitor.currentStatus,
+    }));
+    return selectActiveInstance(entries, this.policy);
+  }
+
+  /**
+   * Change the arbitration policy at runtime
+   * @param {string} policy - One of ARBITRATION_POLICIES
+   */
+  setPolicy(policy) {
+    if (!ARBITRATION_POLICIES.includes(policy)) {
+      throw new Error(`Unknown arbitration policy "${policy}". Supported: ${ARBITRATION_POLICIES.join(', ')}`);
+    }
+    this.policy = policy;
+    this.activeId = this.selectActive();
+    this.emit('statusUpdate', this.getCurrentStatus());
+  }
+
+  get isPaused() {
+    return this._isPaused;
+  }
+
+  set isPaused(value) {
+    this._isPaused = Boolean(value);
+    for (const entry of this.instances.values()) {
+      entry.monitor.isPaused = this._isPaused;
+    }
+  }
+
+  /**
+   * Get the monitor for an instance
+   * @param {string} id - Instance id (defaults to the active instance)
+   * @returns {VLCMonitor|null} Monitor or null if unknown
+   */
+  getMonitor(id = this.activeId) {
+    return this.instances.get(id)?.monitor || null;
+  }
+
+  /**
+   * Send a playback control command to one instance
+   * @param {string} action - Control action (see playback-control.js)
+   * @param {string|number} value - Seek/volume value
+   * @param {string} instanceId - Target instance (defaults to the active one)
+   * @returns {Promise<Object>} Status of the targeted instance after the command
+   */
+  async control(action, value, instanceId = this.activeId) {
+    const monitor = this.getMonitor(instanceId || this.activeId);
+    if (!monitor) {
+      throw new Error(`Unknown VLC instance "${instanceId}"`);
+    }
+    return monitor.control(action, value);
+  }
+
+  /**
+   * Summary of every instance for the dashboard and /api/vlc/instances
+   * @returns {Array<Object>} Instance summaries
+   */
+  getInstances() {
+    return [...this.instances.values()].map(entry => {
+      const status = entry.monitor.getCurrentStatus();
+      return {
+        id: entry.id,
+        name: entry.name,
+        priority: entry.priority,
+        backend: entry.monitor.player?.name || 'vlc',
+        host: entry.monitor.config.host,
+        port: entry.monitor.config.port,
+        active: entry.id === this.activeId,
+        connected: status.connected,
+        playing: status.playing,
+        paused: status.paused,
+        title: status.title,
+        pollInterval: status.pollInterval,
+        startedAt: entry.startedAt || null,
+      };
+    });
+  }
+
+  /**
+   * Status of the active instance, annotated with the full instance list
+   * @returns {Object} Current status
+   */
+  getCurrentStatus() {
+    const active = this.instances.get(this.activeId);
+    return {
+      ...(active ? active.monitor.getCurrentStatus() : {}),
+      activeInstance: this.activeId,
+      arbitrationPolicy: this.policy,
+      instances: this.getInstances(),
+    };
+  }
+
+  start() {
+    for (const entry of this.instances.values()) {
+      entry.monitor.start();
+    }
+  }
+
+  stop() {
+    for (const entry of this.instances.values()) {
+      entry.monitor.stop();
+    }
+  }
+
+  /**
+   * Apply config changes. Connection settings (host/port/password) only make
+   * sense for a single instance; shared settings like tmdbApiKey go to all.
+   * @param {Object} config - Partial configuration
+   */
+  updateConfig(config) {
+    const { host, port, password, ...sharedChanges } = config;
+    this.shared = { ...this.shared, ...sharedChanges };
+
+    if (this.instances.size === 1) {
+      this.instances.values().next().value.monitor.updateConfig(config);
+      return;
+    }
+    if (host || port || password) {
+      logger.warn('Ignoring host/port/password change: several VLC instances are configured, edit vlcInstances instead');
+    }
+    for (const entry of this.instances.values()) {
+      entry.monitor.updateConfig(sharedChanges);
+    }
+  }
+}
+
+export default VLCInstanceManager;
@@ -2,12 +2,22 @@
 import { TMDbClient } from './tmdb-client.js';
 import * as animeHandler from './anime-titles.js';
 import { LRUCache } from 'lru-cache';
-import VLCPoller from './vlc-poller.js';
-import { parseVLCStatus, extractMetadataLookupInfo } from './vlc-parser.js';
+import { createPlayerAdapter } from './player-factory.js';
+import { extractMetadataLookupInfo } from './vlc-parser.js';
 import { enhanceTmdbResult } from './tv-show-helper.js';
+import { formatEpisodeCode } from './episode-range.js';
 import logger from './logger.js';
 import { vlcBreaker, executeWithProtection } from './http-client.js';
 import { metadataDb } from './metadata-overrides-db.js';
+import { detectPlaybackEvents } from './playback-events.js';
+import { PollScheduler } from './poll-scheduler.js';
+import { parseControlCommand } from './playback-control.js';
+import { summarizePlaylist } from './playlist.js';
+import { AlbumArtResolver } from './album-art-resolver.js';
+import { findNfoInfo } from './nfo-reader.js';
+import { applyFolderRule } from './folder-rules.js';
+import { normalizeIdlePolicy, evaluateIdle } from './idle-policy.js';
+import { SessionTracker, SESSION_EVENTS } from './session-tracker.js';
 
 /**
  * @typedef {Object} VLCStatus
@@ -21,28 +31,52 @@ import { metadataDb } from './metadata-overrides-db.js';
  * @property {number} remaining - Remaining time in seconds
  * @property {number} percentage - Progress percentage (0-100)
  * @property {Object} metadata - Fetched metadata from TMDb
+ * @property {number|null} playlistPosition - 1-based position of the current item in the queue
+ * @property {number} playlistLength - Number of queued items
+ * @property {Object|null} nextItem - Parsed next queue item (see playlist.js)
+ * @property {number} rate - Playback speed (1 = normal)
+ * @property {number|null} pausedSince - When playback was paused (ms)
+ * @property {number|null} stoppedSince - When playback stopped on an item (ms)
+ * @property {Object|null} idle - Idle policy state (see idle-policy.js)
  * @property {Date} lastUpdated - Last update timestamp
  */
 
 /**
  * VLC Media Monitor
- * Polls VLC HTTP interface and fetches metadata from TMDb
+ * Polls the configured player backend (VLC by default) and fetches metadata from TMDb
+ *
+ * Besides the full `statusUpdate` on every poll it emits transition events
+ * (mediaStarted, mediaChanged, paused, resumed, seeked, stopped, ended,
+ * disconnected, reconnected), each also re-emitted as `playbackEvent`.
+ * Payload: { type, previous, current, ...details } - see playback-events.js
+ *
+ * Viewing sessions are tracked from the same transitions and emitted as
+ * sessionStarted, sessionCompleted and sessionEnded - see session-tracker.js
  */
 export class VLCMonitor extends EventEmitter {
   /**
    * @param {Object} config - Configuration
+   * @param {string} config.backend - Player backend: 'vlc' (default) or 'mpv'
+   * @param {string} config.mpvSocket - mpv IPC socket path (mpv backend only)
    * @param {string} config.host - VLC host
    * @param {number} config.port - VLC port
    * @param {string} config.password - VLC password
    * @param {string} config.tmdbApiKey - TMDb API key
-   * @param {number} config.pollingInterval - Poll interval in ms (default 1000)
+   * @param {number} config.pollingInterval - Poll interval while playing in ms (default 1000)
+   * @param {boolean} config.adaptivePolling - Back off while idle/unreachable (default true)
+   * @param {number} config.maxPollInterval - Backoff ceiling in ms (default 30000)
    * @param {number} config.cacheTTL - Cache TTL in ms (default 24h)
    * @param {number} config.cacheMaxEntries - Max cache entries (default 500)
+   * @param {string} config.albumArtBaseUrl - Album art search API (default iTunes)
+   * @param {boolean} config.albumArtEnabled - false disables remote album art lookups
+   * @param {Object} config.albumArtResolver - Custom resolver exposing resolve(music)
+   * @param {Object} config.idle - Idle policy { pausedTimeout, pausedAction, stoppedTimeout } (see idle-policy.js)
+   * @param {number} config.completionThreshold - Watched fraction that completes a session (default 0.9)
    */
   constructor(config) {
     super();
     this.config = config;
-    this.poller = new VLCPoller(config);
+    this.player = createPlayerAdapter(config);
     this.currentStatus = {
       connected: false,
       playing: false,
@@ -54,26 +88,61 @@ export class VLCMonitor extends EventEmitter {
       elapsed: 0,
       remaining: 0,
       percentage: 0,
+      rate: 1,
       mediaType: null,
       metadata: null,
+      playlistPosition: null,
+      playlistLength: 0,
+      nextItem: null,
+      chapter: null,
+      chapterCount: null,
+      chapterName: null,
+      pausedSince: null,
+      stoppedSince: null,
       lastUpdated: Date.now(),
     };
     this.interval = null;
-    this._inFlight = false;
+    this.running = false;
+    this._inFlight = null; // Promise of the running poll, including re-polls it owes
+    this._pollRequested = false;
+    this.scheduler = this.createScheduler();
+    this.pollState = 'unreachable'; // 'playing' | 'paused' | 'stopped' | 'unreachable'
     this.cacheTTL = (config.cacheTTL && Number(config.cacheTTL)) || 24 * 60 * 60 * 1000;
     this.tmdbClient = new TMDbClient(config.tmdbApiKey);
+    this.albumArtResolver = config.albumArtResolver || new AlbumArtResolver({
+      baseUrl: config.albumArtBaseUrl,
+      enabled: config.albumArtEnabled,
+    });
     this.lastMetadataLookup = '';
+    this.lastPlaylistKey = null;
+    this.lastEpisodeRangeKey = null;
     this.metadataCache = new LRUCache({
       max: config.cacheMaxEntries || 500,
       ttl: this.cacheTTL,
     });
     this.lastLoggedConnected = false; // Track to avoid repeating connection logs
     this.isPaused = false; // Allow pausing monitoring without stopping VLC
+    this.previousStatus = null; // Last status seen by emitPlaybackEvents()
+    this.idlePolicy = normalizeIdlePolicy(config.idle);
+    this.sessionTracker = new SessionTracker({ completionThreshold: config.completionThreshold });
+    for (const type of SESSION_EVENTS) {
+      this.sessionTracker.on(type, session => this.emit(type, session));
+    }
+  }
+
+  createScheduler() {
+    return new PollScheduler({
+      baseInterval: this.config.pollingInterval,
+      maxInterval: this.config.maxPollInterval,
+      adaptive: this.config.adaptivePolling !== false,
+    });
   }
 
   updateConfig(config) {
     this.config = { ...this.config, ...config };
-    this.tmdbClient.updateApiKey(config.tmdbApiKey);
+    this.player = createPlayerAdapter(this.config);
+    this.scheduler = this.createScheduler();
+    this.tmdbClient.updateApiKey(this.config.tmdbApiKey);
     
     // Restart monitoring with new config
     this.stop();
@@ -87,23 +156,32 @@ export class VLCMonitor extends EventEmitter {
     if (this.interval) {
       clearTimeout(this.interval);
     }
+    this.running = true;
+    this.scheduler.reset();
 
     // Use non-overlapping polling loop via setTimeout to avoid concurrent polls
-    const schedule = () => {
+    const schedule = (delay) => {
       this.interval = setTimeout(async () => {
         try {
           await this.pollVLC();
         } catch (e) {
           // swallow - pollVLC logs errors
         } finally {
-          schedule();
+          if (this.running) {
+            // While monitoring is paused keep the base rate so resuming is picked up quickly
+            schedule(this.isPaused ? this.scheduler.baseInterval : this.scheduler.next(this.pollState));
+          }
         }
-      }, this.config.pollingInterval);
+      }, delay);
     };
 
-    logger.info(`VLC monitor started, polling every ${this.config.pollingInterval}ms`);
+    logger.info(
+      this.scheduler.adaptive
+        ? `VLC monitor started, polling every ${this.scheduler.baseInterval}ms while playing (adaptive)`
+        : `VLC monitor started, polling every ${this.scheduler.baseInterval}ms`
+    );
     // Start loop
-    schedule();
+    schedule(this.scheduler.baseInterval);
     // Initial immediate poll
     this.pollVLC().catch(() => {});
   }
@@ -112,12 +190,14 @@ export class VLCMonitor extends EventEmitter {
    * Stop monitoring
    */
   stop() {
+    this.running = false;
     if (this.interval) {
       clearTimeout(this.interval);
       this.interval = null;
       
       // Update status to disconnected
       this.currentStatus.connected = false;
+      this.emitPlaybackEvents();
       this.emit('statusUpdate', this.getCurrentStatus());
       
       logger.info('VLC monitor stopped');
@@ -129,29 +209,109 @@ export class VLCMonitor extends EventEmitter {
    * @returns {VLCStatus} Current status
    */
   getCurrentStatus() {
-    return { ...this.currentStatus };
+    return {
+      ...this.currentStatus,
+      idle: evaluateIdle(this.currentStatus, this.idlePolicy),
+      pollInterval: this.scheduler.currentInterval,
+    };
   }
 
+  /**
+   * Track how long playback has been paused, or stopped after playing
+   * @param {Object} parsed - Freshly normalized status
+   * @param {boolean} wasActive - Whether the previous poll was playing or paused
+   */
+  trackIdleTimes(parsed, wasActive) {
+    const now = Date.now();
+    this.currentStatus.pausedSince = parsed.paused ? (this.currentStatus.pausedSince || now) : null;
+
+    if (parsed.playing || parsed.paused) {
+      this.currentStatus.stoppedSince = null;
+    } else if (wasActive) {
+      this.currentStatus.stoppedSince = now;
+    }
+  }
+
+  /**
+   * Diff the current status against the previous one and emit transition events
+   */
+  emitPlaybackEvents() {
+    const current = this.getCurrentStatus();
+    const events = detectPlaybackEvents(this.previousStatus, current);
+    this.sessionTracker.update(this.previousStatus, current, events);
+    this.previousStatus = current;
+
+    for (const event of events) {
+      logger.debug(`Playback event: ${event.type}${event.current.title ? ` (${event.current.title})` : ''}`);
+      this.emit(event.type, event);
+      this.emit('playbackEvent', event);
+    }
+  }
+
+  /**
+   * Send a playback control command to the player, then poll right away so
+   * Discord and the dashboard reflect the change without waiting for the next tick
+   * @param {string} action - 'pause', 'play', 'next', 'previous', 'seek' or 'volume'
+   * @param {string|number} value - Seek/volume value (see playback-control.js)
+   * @returns {Promise<Object>} Status after the command
+   */
+  async control(action, value) {
+    const command = parseControlCommand(action, value);
+    await this.player.sendControl(command.action, command.value);
+    logger.info(`Sent ${action}${command.value ? ` (${value})` : ''} to ${this.player.name}`);
+
+    await this.pollVLC();
+    return this.getCurrentStatus();
+  }
+
+  /**
+   * Poll the player once
+   * A poll that is already running may predate a control command, so overlapping
+   * calls queue one more poll and resolve once that has finished too.
+   * @returns {Promise<void>}
+   */
   async pollVLC() {
-    if (this._inFlight) return; // prevent overlap
+    if (this._inFlight) {
+      this._pollRequested = true;
+      return this._inFlight;
+    }
     if (this.isPaused) return; // Skip poll if paused
-    this._inFlight = true;
+
+    this._inFlight = (async () => {
+      do {
+        this._pollRequested = false;
+        await this.updateStatus();
+      } while (this._pollRequested && !this.isPaused);
+    })();
     try {
-      const vlcData = await this.poller.fetchStatus();
-      const wasConnected = this.currentStatus.connected;
+      await this._inFlight;
+    } finally {
+      this._inFlight = null;
+    }
+  }
+
+  async updateStatus() {
+    try {
+      const rawStatus = await this.player.fetchStatus();
 
-      // Parse VLC status into standardized format
-      const parsed = parseVLCStatus(vlcData);
+      // Normalize the backend's response into the standard status format
+      const parsed = this.player.normalizeStatus(rawStatus);
+      this.pollState = parsed.playing ? 'playing' : parsed.paused ? 'paused' : 'stopped';
+      const wasActive = this.currentStatus.playing || this.currentStatus.paused;
       Object.assign(this.currentStatus, parsed);
+      this.trackIdleTimes(parsed, wasActive);
       this.currentStatus.lastUpdated = Date.now();
 
       // If media stopped, clear metadata
-      if (vlcData.state === 'stopped') {
+      if (!parsed.playing && !parsed.paused) {
         this.currentStatus.metadata = null;
         this.lastMetadataLookup = '';
+        this.clearPlaylist();
       } else if (this.currentStatus.title) {
-        // Fetch metadata for new titles
-        const titleForLookup = this.currentStatus.title;
+        await this.refreshPlaylist(parsed);
+
+        // Fetch metadata for new titles (music is keyed by artist + track)
+        const titleForLookup = this.metadataKey(parsed);
         if (titleForLookup !== this.lastMetadataLookup && this.currentStatus.playing) {
           this.lastMetadataLookup = titleForLookup;
 
@@ -163,7 +323,11 @@ export class VLCMonitor extends EventEmitter {
               const metadata = await this.fetchMetadata(lookupInfo);
               if (metadata) {
                 this.currentStatus.metadata = metadata;
-                this.metadataCache.set(titleForLookup, metadata);
+                // A tvshow.nfo match covers the whole show: cache it per file so the
+                // next episode is looked up instead of reusing this one
+                const key = metadata.matchSource === 'nfo' && parsed.filePath ? `file:${parsed.filePath}` : titleForLookup;
+                this.lastMetadataLookup = key;
+                this.metadataCache.set(key, metadata);
               }
             } catch (error) {
               console.error('Error fetching metadata:', error.message);
@@ -172,18 +336,25 @@ export class VLCMonitor extends EventEmitter {
         }
         
         // Merge season/episode info from parsed status into metadata
-        if (this.currentStatus.metadata && parsed.season !== undefined) {
-          this.currentStatus.metadata.seasonNumber = parsed.season;
-        }
-        if (this.currentStatus.metadata && parsed.episode !== undefined) {
-          this.currentStatus.metadata.episodeNumber = parsed.episode;
-        }
-        if (this.currentStatus.metadata && parsed.episodeTitle) {
-          this.currentStatus.metadata.episodeTitle = parsed.episodeTitle;
+        // (unparsed numbers keep what the lookup mapped, e.g. absolute anime episodes;
+        // folder rules and .nfo sidecars already decided the episode)
+        const decided = ['folderRule', 'nfo'].includes(this.currentStatus.metadata?.matchSource);
+        if (this.currentStatus.metadata && !decided) {
+          if (parsed.season !== undefined && parsed.season !== null) {
+            this.currentStatus.metadata.seasonNumber = parsed.season;
+          }
+          if (parsed.episode !== undefined && parsed.episode !== null) {
+            this.currentStatus.metadata.episodeNumber = parsed.episode;
+          }
+          if (parsed.episodeTitle) {
+            this.currentStatus.metadata.episodeTitle = parsed.episodeTitle;
+          }
         }
+        await this.refreshEpisodeRange(parsed);
       }
 
-      // Emit status update event
+      // Emit transition events, then the full status
+      this.emitPlaybackEvents();
       this.emit('statusUpdate', this.getCurrentStatus());
 
       // Log connection state changes only once
@@ -192,6 +363,7 @@ export class VLCMonitor extends EventEmitter {
         this.lastLoggedConnected = true;
       }
     } catch (error) {
+      this.pollState = 'unreachable';
       // If we were previously connected, log the disconnect
       if (this.currentStatus.connected) {
         logger.error('VLC connection lost:', error.message);
@@ -199,10 +371,17 @@ export class VLCMonitor extends EventEmitter {
         this.currentStatus.connected = false;
         this.currentStatus.playing = false;
         this.currentStatus.paused = false;
+        this.currentStatus.pausedSince = null;
+        this.currentStatus.stoppedSince = null;
+        this.emitPlaybackEvents();
         this.emit('statusUpdate', this.getCurrentStatus());
       } else {
         // More detailed error messages for connection issues
-        if (error.code === 'ECONNREFUSED') {
+        if (this.player.name === 'mpv' && (error.code === 'ENOENT' || error.code === 'ECONNREFUSED')) {
+          logger.error(
+            `mpv IPC socket not available at ${this.player.socketPath}: start mpv with --input-ipc-server=${this.player.socketPath}`
+          );
+        } else if (error.code === 'ECONNREFUSED') {
           logger.error(
             'VLC connection refused: Make sure VLC is running and the HTTP interface is enabled.'
           );
@@ -218,11 +397,74 @@ export class VLCMonitor extends EventEmitter {
           logger.error('VLC connection error:', error.message);
         }
       }
-    } finally {
-      this._inFlight = false;
     }
   }
   
+  /**
+   * Re-read the player's queue when the current item changed
+   * @param {Object} parsed - Normalized status from this poll
+   */
+  async refreshPlaylist(parsed) {
+    const key = parsed.playlistItemId ?? parsed.originalTitle;
+    if (key === this.lastPlaylistKey) return;
+    this.lastPlaylistKey = key;
+
+    try {
+      const items = await this.player.fetchPlaylist();
+      Object.assign(this.currentStatus, summarizePlaylist(items || [], parsed.playlistItemId));
+    } catch (error) {
+      logger.debug('Could not fetch playlist:', error.message);
+      Object.assign(this.currentStatus, summarizePlaylist([]));
+    }
+  }
+
+  /**
+   * Key for the metadata cache and the "new title" check
+   * Files under a folder rule or matched through an .nfo sidecar are keyed by path:
+   * the rule or sidecar rather than the cleaned title decides what they are, and
+   * each file may be its own episode.
+   * @param {Object} parsed - Normalized status from this poll
+   * @returns {string} Cache key
+   */
+  metadataKey(parsed) {
+    const titleForLookup = parsed.titleForLookup || this.currentStatus.title;
+    const fileKey = `file:${parsed.filePath}`;
+    if (parsed.filePath && (this.metadataCache.has(fileKey) || metadataDb.findFolderRule(parsed.filePath))) {
+      return fileKey;
+    }
+    return titleForLookup;
+  }
+
+  /**
+   * Fetch every episode of a multi-episode file (S01E01-E03) into the metadata
+   * Keyed by show and range so each file is looked up once.
+   * @param {Object} parsed - Normalized status from this poll
+   */
+  async refreshEpisodeRange(parsed) {
+    const metadata = this.currentStatus.metadata;
+    if (!metadata || metadata.type !== 'tv' || !metadata.id) return;
+
+    if (!(parsed.episodeEnd > parsed.episode) || parsed.season === null || parsed.season === undefined) {
+      this.lastEpisodeRangeKey = null;
+      delete metadata.episodeEnd;
+      delete metadata.episodes;
+      return;
+    }
+
+    const key = `${metadata.id}:${parsed.season}:${parsed.episode}-${parsed.episodeEnd}`;
+    if (key === this.lastEpisodeRangeKey) return;
+    this.lastEpisodeRangeKey = key;
+
+    metadata.episodes = await this.tmdbClient.getEpisodeRange(metadata.id, parsed.season, parsed.episode, parsed.episodeEnd);
+    metadata.episodeEnd = parsed.episodeEnd;
+    metadata.formattedEpisode = formatEpisodeCode(parsed.season, parsed.episode, parsed.episodeEnd);
+  }
+
+  clearPlaylist() {
+    this.lastPlaylistKey = null;
+    Object.assign(this.currentStatus, summarizePlaylist([]));
+  }
+
   /**
    * Fetch metadata from TMDb for a title
    * @param {Object} lookupInfo - Lookup information
@@ -231,48 +473,200 @@ export class VLCMonitor extends EventEmitter {
    * @param {number} lookupInfo.year - Release year (optional)
    * @param {number} lookupInfo.season - Season number (optional)
    * @param {number} lookupInfo.episode - Episode number (optional)
+   * @param {string} lookupInfo.filePath - Local media path, checked against folder rules and .nfo sidecars (optional)
+   * @param {number} lookupInfo.absoluteEpisode - Episode number across seasons (optional)
+   * @param {string} lookupInfo.airDate - Air date of a daily show episode, 'YYYY-MM-DD' (optional)
+   * @param {Object} lookupInfo.special - Special/OVA/OAD details from detectSpecial(), season 0 (optional)
    * @returns {Promise<Object|null>} Metadata or null if not found
    */
   async fetchMetadata(lookupInfo) {
     try {
       let metadata = null;
-      const { mediaType, title, year, season, episode, episodeTitle } = lookupInfo;
+      const { title, year, episodeTitle, music, stream, filePath, absoluteEpisode = null, airDate = null, special = null } = lookupInfo;
+      let { mediaType, season, episode, ids, idSource } = lookupInfo;
 
-      if (mediaType === 'movie') {
-        metadata = await this.tmdbClient.searchMovie(title, year);
-      } else if (mediaType === 'tv') {
-        metadata = await this.tmdbClient.searchTvShow(title, season, episode);
-
-        // Enhance with season/episode information
-        if (metadata && season !== null && episode !== null) {
-          metadata = enhanceTmdbResult(metadata, {
-            season,
-            episode,
-            episodeTitle
-          });
-        }
-      } else if (mediaType === 'anime') {
-        // First try TV show search if we have season/episode
-        if (season !== null && episode !== null) {
-          metadata = await this.tmdbClient.searchTvShow(title, season, episode);
-        } else {
-          // Fall back to movie search
-          metadata = await this.tmdbClient.searchMovie(title, year);
+      // Radio: describe the station and current song, with artwork when the artist is known
+      if (mediaType === 'radio') {
+        if (!stream) return null;
+        const art = stream.artist
+          ? await this.albumArtResolver.resolve({ title: stream.title, artist: stream.artist, album: null })
+          : null;
+        return {
+          type: 'radio',
+          station: stream.station,
+          title: stream.title,
+          artist: stream.artist,
+          genre: stream.genre,
+          streamUrl: stream.url,
+          artworkUrl: art?.artworkUrl || null,
+          trackUrl: art?.url || null,
+        };
+      }
+
+      // Music never goes to TMDb, only album art is looked up
+      if (mediaType === 'music') {
+        return music ? await this.albumArtResolver.resolve(music) : null;
+      }
+
+      // User folder rules beat anything derived from the file itself
+      const folderRule = filePath ? metadataDb.findFolderRule(filePath) : null;
+      if (folderRule) {
+        logger.debug(`Folder rule ${folderRule.pattern} matches ${filePath}`);
+        ({ ids, mediaType, season, episode } = applyFolderRule(folderRule.rule, lookupInfo));
+        idSource = 'folderRule';
+      }
+
+      // .nfo sidecars written by library managers identify the file exactly
+      if (!ids && filePath) {
+        const nfo = await findNfoInfo(filePath);
+        if (nfo) {
+          logger.debug(`Using IDs from ${nfo.nfoPath}`);
+          ({ ids, mediaType } = nfo);
+          idSource = 'nfo';
+          season = nfo.season ?? season;
+          episode = nfo.episode ?? episode;
         }
+      }
 
-        // Apply anime formatting
+      // Players like Kodi already know the TMDb/IMDb ID - fetch by ID and skip searching
+      if (ids) {
+        metadata = await this.tmdbClient.lookupByIds(ids, { mediaType, season, episode });
         if (metadata) {
-          metadata = animeHandler.formatAnimeTitle(metadata);
+          metadata.matchSource = idSource || 'ids';
+          if (episodeTitle && !metadata.episodeTitle) {
+            metadata.episodeTitle = episodeTitle;
+          }
+          return metadata;
         }
-      } else {
-        // Generic search
-        metadata = await this.tmdbClient.searchGeneric(title);
+        logger.warn(`No TMDb entry found for ${JSON.stringify(ids)}, falling back to title search`);
+      }
+
+      const attempts = [{ title, year, season, episode }, ...(lookupInfo.alternatives || [])];
+      if (attempts.length === 1) {
+        return await this.searchByTitle({ mediaType, title, year, season, episode, episodeTitle, absoluteEpisode, airDate, special });
       }
 
+      // The top title candidates scored close: search each before committing to one,
+      // preferring a TMDb title that matches what was searched
+      const matches = [];
+      for (const attempt of attempts) {
+        const found = await this.searchByTitle({
+          mediaType,
+          episodeTitle,
+          absoluteEpisode,
+          airDate,
+          special,
+          ...attempt,
+          season: attempt.season ?? season,
+          episode: attempt.episode ?? episode,
+        });
+        if (found) matches.push({ attempt, found });
+      }
+      const normalize = (value) => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      const best = matches.find(({ attempt, found }) => normalize(found.title) === normalize(attempt.title)) || matches[0];
+      if (best && best.attempt !== attempts[0]) {
+        logger.debug(`Matched runner-up title "${best.attempt.title}" instead of "${title}"`);
+      }
+      metadata = best ? best.found : null;
       return metadata;
     } catch (error) {
       logger.error('Error fetching metadata:', error.message);
       return null;
     }
   }
+
+  /**
+   * Search TMDb by title for the given media type
+   * @param {Object} query - { mediaType, title, year, season, episode, episodeTitle, absoluteEpisode, airDate, special }
+   * @returns {Promise<Object|null>} Metadata or null if not found
+   */
+  async searchByTitle({ mediaType, title, year, season, episode, episodeTitle, absoluteEpisode = null, airDate = null, special = null }) {
+    let metadata = null;
+    if (airDate && (season === null || season === undefined) && mediaType === 'tv') {
+      return this.searchAirDateEpisode(title, airDate);
+    }
+
+    if (absoluteEpisode !== null && (season === null || season === undefined) && ['anime', 'tv'].includes(mediaType)) {
+      metadata = await this.searchAbsoluteEpisode(title, absoluteEpisode);
+      return metadata && mediaType === 'anime' ? animeHandler.formatAnimeTitle(metadata) : metadata;
+    }
+
+    if (mediaType === 'movie') {
+      metadata = await this.tmdbClient.searchMovie(title, year);
+    } else if (mediaType === 'tv') {
+      metadata = await this.tmdbClient.searchTvShow(title, season, episode, '', { special });
+
+      // Enhance with season/episode information
+      if (metadata && season !== null && episode !== null) {
+        metadata = enhanceTmdbResult(metadata, {
+          season,
+          episode,
+          episodeTitle
+        });
+      }
+    } else if (mediaType === 'anime') {
+      // First try TV show search if we have season/episode (OVAs may only have the specials season)
+      if (special || (season !== null && episode !== null)) {
+        metadata = await this.tmdbClient.searchTvShow(title, season, episode, '', { special });
+      } else {
+        // Fall back to movie search
+        metadata = await this.tmdbClient.searchMovie(title, year);
+      }
+
+      // Apply anime formatting
+      if (metadata) {
+        metadata = animeHandler.formatAnimeTitle(metadata);
+      }
+    } else {
+      // Generic search
+      metadata = await this.tmdbClient.searchGeneric(title);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Look up a daily show's episode by air date ("The.Daily.Show.2024.03.15")
+   * @param {string} title - Show title
+   * @param {string} airDate - 'YYYY-MM-DD'
+   * @returns {Promise<Object|null>} TV metadata (with airDate) or null if not found
+   */
+  async searchAirDateEpisode(title, airDate) {
+    const show = await this.tmdbClient.searchTvShow(title);
+    if (!show) return null;
+
+    const found = await this.tmdbClient.findEpisodeByAirDate(show.id, airDate);
+    if (!found) {
+      logger.debug(`No episode of ${title} aired on ${airDate}`);
+      return { ...show, airDate };
+    }
+
+    const metadata = await this.tmdbClient.getTvShowById(show.id, found.season, found.episode);
+    return { ...(metadata || show), airDate };
+  }
+
+  /**
+   * Look up an episode numbered across seasons ("One Piece - 1085")
+   * anime-titles.js entries can declare 'seasonal' numbering (the number is the
+   * episode within season 1) or a TMDb episode group to map through.
+   * @param {string} title - Show title
+   * @param {number} absolute - Absolute episode number
+   * @returns {Promise<Object|null>} TV metadata or null if not found
+   */
+  async searchAbsoluteEpisode(title, absolute) {
+    const anime = animeHandler.findAnimeInfo(title);
+    if (anime?.numbering === 'seasonal') {
+      return this.tmdbClient.searchTvShow(title, 1, absolute);
+    }
+
+    const show = await this.tmdbClient.searchTvShow(title);
+    if (!show) return null;
+
+    const mapped = await this.tmdbClient.resolveAbsoluteEpisode(show.id, absolute, { episodeGroupId: anime?.episodeGroup });
+    if (!mapped) return show;
+    logger.debug(`${title} episode ${absolute} is S${mapped.season}E${mapped.episode} (via ${mapped.source})`);
+
+    const metadata = await this.tmdbClient.getTvShowById(show.id, mapped.season, mapped.episode);
+    return metadata ? { ...metadata, absoluteEpisode: absolute } : show;
+  }
 }
@@ -1,5 +1,10 @@
 import cleanTitle from './title-cleaner.js';
 import { isTvShow } from './tv-show-helper.js';
+import { extractMusicInfo, extractStreamInfo } from './music-info.js';
+import { parseTechnicalInfo } from './stream-info.js';
+import { extractChapterInfo, isDiscUrl, isGenericDiscName, discLabelFromUrl } from './chapter-info.js';
+import { extractPathIds } from './id-tags.js';
+import { rankCandidates, describeChoice, closeAlternatives } from './title-candidates.js';
 
 export function parseVLCStatus(vlcData) {
   const status = {
@@ -14,6 +19,27 @@ export function parseVLCStatus(vlcData) {
         ? Math.floor(vlcData.length - vlcData.time)
         : 0,
     percentage: Number.isFinite(vlcData.position) ? Math.floor(vlcData.position * 100) : 0,
+    // Playback speed (1 = normal); elapsed/remaining are media time, not wall-clock time
+    rate: Number.isFinite(vlcData.rate) && vlcData.rate > 0 ? vlcData.rate : 1,
+    // Playlist id of the current item (VLC reports -1 when nothing is queued)
+    playlistItemId: Number(vlcData.currentplid) >= 0 && vlcData.currentplid !== null ? String(vlcData.currentplid) : null,
+    music: null,
+    stream: null,
+    technical: null,
+    chapter: null,
+    chapterCount: null,
+    chapterName: null,
+    discTitle: null,
+    discTitleCount: null,
+    filePath: null,
+    ids: null,
+    idSource: null,
+    titleCandidates: null,
+    titleReason: null,
+    episodeEnd: null,
+    absoluteEpisode: null,
+    airDate: null,
+    special: null,
     lastUpdated: Date.now(),
   };
 
@@ -47,40 +73,91 @@ export function parseVLCStatus(vlcData) {
     return status;
   }
 
-  // Determine media type
-  // Prioritize: meta.title > folder names > filename
+  Object.assign(status, extractChapterInfo(vlcData));
+
+  // Discs report per-title names ("Title 3", "DVD Menu") and a device path;
+  // keep only names that identify the disc so switching titles isn't a new movie
+  if (isDiscUrl(filePath)) {
+    const names = [mediaTitle, filename].filter(name => name && !isDiscUrl(name) && !isGenericDiscName(name));
+    mediaTitle = names[0] || discLabelFromUrl(filePath) || '';
+    filename = '';
+    filePath = '';
+  }
+
+  // Kept for sidecar (.nfo) lookups next to local files
+  status.filePath = filePath || null;
+
+  // Codec/resolution/audio details from the "Stream N" categories
+  status.technical = parseTechnicalInfo(vlcData.information?.category, filename || filePath);
+
+  // Internet radio: the station name must not be looked up as a movie, and
+  // every now_playing change is its own track (distinct title/titleForLookup)
+  const stream = extractStreamInfo(vlcData);
+  if (stream) {
+    status.mediaType = 'radio';
+    status.title = stream.title || stream.station;
+    status.originalTitle = stream.nowPlaying || stream.station;
+    status.stream = stream;
+    status.cleanTitle = status.title;
+    status.titleForLookup = `${stream.station} | ${stream.nowPlaying || ''}`;
+    status.mediaInfo = { type: 'radio', title: status.title };
+    return status;
+  }
+
+  // Audio gets its own path: the movie/TV cleaner would mangle track titles
+  const music = extractMusicInfo(vlcData);
+  if (music) {
+    status.mediaType = 'music';
+    status.title = music.title;
+    status.originalTitle = filename || mediaTitle;
+    status.music = music;
+    status.cleanTitle = music.title;
+    status.titleForLookup = [music.artist, music.title].filter(Boolean).join(' - ');
+    status.mediaInfo = { type: 'music', title: music.title };
+    return status;
+  }
+
+  // Gather candidate names with where they came from: meta.title > folder names > filename
   const possibleTitles = [];
-  if (mediaTitle) possibleTitles.push(mediaTitle);
+  if (mediaTitle) possibleTitles.push({ text: mediaTitle, source: 'meta' });
   
   if (filePath) {
     const pathParts = filePath.split(/[\\/]/);
     // Add parent folder (likely show/movie name)
     if (pathParts.length > 2) {
-      possibleTitles.push(pathParts[pathParts.length - 2]);
+      possibleTitles.push({ text: pathParts[pathParts.length - 2], source: 'parent' });
     }
     // Add grandparent folder if exists (for shows like /ShowName/Season1/)
     if (pathParts.length > 3) {
-      possibleTitles.push(pathParts[pathParts.length - 3]);
+      possibleTitles.push({ text: pathParts[pathParts.length - 3], source: 'grandparent' });
     }
   }
   
   // Add filename last (often contains episode titles)
-  if (filename) possibleTitles.push(filename);
+  if (filename) possibleTitles.push({ text: filename, source: 'filename' });
   if (filePath) {
     const fileNameFromPath = filePath.split(/[\\/]/).pop();
-    if (fileNameFromPath) possibleTitles.push(fileNameFromPath);
+    if (fileNameFromPath) possibleTitles.push({ text: fileNameFromPath, source: 'filename' });
+  }
+
+  // [tmdbid-123] / {imdb-tt123} tags in the path are authoritative
+  const pathIds = extractPathIds([filename, ...(filePath ? filePath.split(/[\\/]/).reverse() : []).slice(0, 3), mediaTitle]);
+  if (pathIds) {
+    status.ids = pathIds;
+    status.idSource = 'filename';
   }
 
   // Normalize candidates: trim, drop extensions for filename/path-derived entries
   const candidates = possibleTitles
-    .filter(Boolean)
-    .map(t => String(t).trim())
-    .filter(t => t.length > 0)
-    .map(t => {
+    .map(({ text, source }) => ({ text: String(text || '').trim(), source }))
+    .filter(({ text }) => text.length > 0)
+    .map(({ text, source }) => {
       // Remove common video extensions when candidate looks like a filename
-      const m = t.match(/^(.*)\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v)$/i);
-      return m ? m[1] : t;
-    });
+      const m = text.match(/^(.*)\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v)$/i);
+      return { text: m ? m[1] : text, source };
+    })
+    // VLC's filename usually repeats the last path segment
+    .filter((candidate, index, all) => all.findIndex(other => other.text === candidate.text) === index);
 
   // If we have no viable candidates, we can't produce a title
   if (candidates.length === 0) {
@@ -92,7 +169,7 @@ export function parseVLCStatus(vlcData) {
   }
 
   let mediaType = 'unknown';
-  for (const title of candidates) {
+  for (const { text: title } of candidates) {
     if (isTvShow(title)) {
       mediaType = 'tv';
       break;
@@ -106,7 +183,7 @@ export function parseVLCStatus(vlcData) {
   }
 
   if (mediaType === 'unknown') {
-    for (const title of candidates) {
+    for (const { text: title } of candidates) {
       const cleanInfo = cleanTitle(title);
       if (cleanInfo && cleanInfo.type) {
         mediaType = cleanInfo.type;
@@ -119,32 +196,16 @@ export function parseVLCStatus(vlcData) {
   status.mediaType = mediaType;
   status.originalTitle = filename || mediaTitle;
 
-  // Clean the title based on media type
-  // For TV shows: prioritize titles with season/episode info, skip bare episode titles
-  let cleanInfo = null;
-  for (const title of candidates) {
-    cleanInfo = cleanTitle(title);
-    if (cleanInfo && cleanInfo.title && cleanInfo.title !== 'Unknown') {
-      // For TV shows, if we found season/episode info, use it
-      if (mediaType === 'tv' && cleanInfo.season !== null && cleanInfo.episode !== null) {
-        break;
-      }
-      // For non-TV or if no season/episode info yet, continue looking
-      // to see if a later title has better season/episode data
-      if (mediaType === 'tv' && (cleanInfo.season !== null || cleanInfo.episode !== null)) {
-        // Found at least season or episode, good enough
-        break;
-      }
-      // For non-TV shows, just take the first valid title
-      if (mediaType !== 'tv') {
-        break;
-      }
-    }
-  }
+  // Score every candidate (source, season/episode, year, noise) and keep the best
+  const ranked = rankCandidates(candidates, cleanTitle);
+  const [winner, runnerUp] = ranked;
+  let cleanInfo = winner.title ? winner.cleanInfo : null;
+  status.titleCandidates = ranked.map(({ cleanInfo: _cleanInfo, ...candidate }) => candidate);
+  status.titleReason = winner.title ? describeChoice(winner, runnerUp) : 'No candidate produced a title';
 
-  if (!cleanInfo || !cleanInfo.title || cleanInfo.title === 'Unknown') {
+  if (!cleanInfo) {
     // Fallback to first candidate if meta.title was empty
-    cleanInfo = cleanTitle(candidates[0] || '');
+    cleanInfo = cleanTitle(candidates[0].text);
   }
 
   // Set title info based on media type
@@ -155,16 +216,35 @@ export function parseVLCStatus(vlcData) {
     if (cleanInfo.season !== null && cleanInfo.episode !== null) {
       status.season = cleanInfo.season;
       status.episode = cleanInfo.episode;
+      status.episodeEnd = cleanInfo.episodeEnd ?? null;
       status.episodeTitle = cleanInfo.episodeTitle;
     }
+    if (cleanInfo.special) {
+      titleForLookup = applySpecial(status, cleanInfo, titleForLookup);
+    }
+    // Daily shows: every date is its own episode lookup
+    if (cleanInfo.airDate) {
+      status.airDate = cleanInfo.airDate;
+      status.episodeTitle = cleanInfo.episodeTitle;
+      titleForLookup = `${titleForLookup} ${cleanInfo.airDate}`;
+    }
   } else if (mediaType === 'anime' || cleanInfo.type === 'anime') {
     titleForLookup = cleanInfo.title;
     status.title = titleForLookup;
     if (cleanInfo.season !== null && cleanInfo.episode !== null) {
       status.season = cleanInfo.season;
       status.episode = cleanInfo.episode;
+      status.episodeEnd = cleanInfo.episodeEnd ?? null;
       status.episodeTitle = cleanInfo.episodeTitle;
     }
+    // Mapped to a TMDb season/episode at lookup time, so every number is its own lookup
+    status.absoluteEpisode = cleanInfo.absoluteEpisode ?? null;
+    if (status.absoluteEpisode !== null) {
+      titleForLookup = `${titleForLookup} ${status.absoluteEpisode}`;
+    }
+    if (cleanInfo.special) {
+      titleForLookup = applySpecial(status, cleanInfo, titleForLookup);
+    }
   } else {
     titleForLookup = cleanInfo.title;
     status.title = titleForLookup;
@@ -180,6 +260,17 @@ export function parseVLCStatus(vlcData) {
   return status;
 }
 
+// Specials are season 0 even without a number ("OVA"), and each one is its own
+// lookup since it is matched by title against the show's specials
+function applySpecial(status, cleanInfo, titleForLookup) {
+  const { special } = cleanInfo;
+  status.special = special;
+  status.season = 0;
+  status.episode = cleanInfo.episode ?? null;
+  status.episodeTitle = cleanInfo.episodeTitle;
+  return `${titleForLookup} ${special.type} ${special.number ?? special.title ?? ''}`.trim();
+}
+
 export function extractMetadataLookupInfo(parsed) {
   if (!parsed || !parsed.mediaInfo) {
     return {
@@ -188,6 +279,7 @@ export function extractMetadataLookupInfo(parsed) {
       season: null,
       episode: null,
       year: null,
+      ids: null,
     };
   }
 
@@ -195,9 +287,21 @@ export function extractMetadataLookupInfo(parsed) {
   return {
     mediaType: mediaType || 'unknown',
     title: mediaInfo.showTitle || mediaInfo.title,
-    season: mediaInfo.season || null,
-    episode: mediaInfo.episode || null,
+    season: mediaInfo.season ?? null,
+    episode: mediaInfo.episode ?? null,
     year: mediaInfo.year || null,
+    episodeEnd: mediaInfo.episodeEnd ?? null,
+    absoluteEpisode: mediaInfo.absoluteEpisode ?? null,
+    airDate: mediaInfo.airDate || null,
+    special: mediaInfo.special || null,
+    // Authoritative IDs supplied by the player (e.g. Kodi's library)
+    ids: parsed.ids || null,
+    idSource: parsed.idSource || null,
+    music: parsed.music || null,
+    stream: parsed.stream || null,
+    filePath: parsed.filePath || null,
+    // Close runners-up, searched too before a match is committed to
+    alternatives: closeAlternatives(parsed.titleCandidates),
   };
 }
 
@@ -1,12 +1,19 @@
 import axios from 'axios';
 import { retryWithBackoff } from './retry-helper.js';
+import { PlayerAdapter } from './player-adapter.js';
+import { flattenVLCPlaylist } from './playlist.js';
 
-export class VLCPoller {
+/**
+ * VLC backend - polls the Lua HTTP interface (status.json)
+ */
+export class VLCPoller extends PlayerAdapter {
   constructor(config) {
-    this.config = config;
+    super(config, 'vlc');
   }
 
   async fetchStatus() {
+    // The adaptive poll scheduler already backs off on failures, only retry with fixed polling
+    const attempts = this.config.adaptivePolling === false ? 2 : 1;
     const response = await retryWithBackoff(
       async () => {
         return await axios.get(
@@ -20,11 +27,73 @@ export class VLCPoller {
           }
         );
       },
-      2,
+      attempts,
       300
     );
     return response.data;
   }
+
+  async fetchPlaylist() {
+    const response = await axios.get(
+      `http://${this.config.host}:${this.config.port}/requests/playlist.json`,
+      {
+        auth: {
+          username: '',
+          password: this.config.password,
+        },
+        timeout: 3000,
+      }
+    );
+    return flattenVLCPlaylist(response.data);
+  }
+
+  async sendControl(action, value) {
+    const params = toVLCCommand(action, value);
+    await axios.get(`http://${this.config.host}:${this.config.port}/requests/status.json`, {
+      params,
+      auth: {
+        username: '',
+        password: this.config.password,
+      },
+      timeout: 3000,
+    });
+  }
+}
+
+// VLC volume is 0-512 where 256 is 100%
+const VLC_VOLUME_PER_PERCENT = 2.56;
+
+/**
+ * Map a control command onto status.json query parameters
+ * @param {string} action - Control action
+ * @param {{mode: string, amount: number}|null} value - Normalized value
+ * @returns {Object} Query parameters ({ command, val })
+ */
+export function toVLCCommand(action, value) {
+  switch (action) {
+    case 'pause':
+      return { command: 'pl_forcepause' };
+    case 'play':
+      return { command: 'pl_forceresume' };
+    case 'next':
+      return { command: 'pl_next' };
+    case 'previous':
+      return { command: 'pl_previous' };
+    case 'seek': {
+      const val = value.mode === 'percent'
+        ? `${value.amount}%`
+        : value.mode === 'relative'
+          ? `${value.amount >= 0 ? '+' : ''}${value.amount}`
+          : String(value.amount);
+      return { command: 'seek', val };
+    }
+    case 'volume': {
+      const amount = Math.round(value.amount * VLC_VOLUME_PER_PERCENT);
+      return { command: 'volume', val: value.mode === 'relative' ? `${amount >= 0 ? '+' : ''}${amount}` : String(amount) };
+    }
+    default:
+      throw new Error(`Unsupported control action "${action}"`);
+  }
 }
 
 export default VLCPoller;
@@ -0,0 +1,2 @@
+// The src/*.js modules ship without type declarations
+declare module '*.js';
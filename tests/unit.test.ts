@@ -2,8 +2,48 @@
  * Test suite for VLCord core modules
  */
 
+/// <reference path="./js-modules.d.ts" />
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import type { VLCStatus, DiscordPresenceData } from '../src/types.js';
+import { selectActiveInstance } from '../src/instance-arbitration.js';
+import { VLCInstanceManager } from '../src/vlc-instance-manager.js';
+import { detectPlaybackEvents } from '../src/playback-events.js';
+import { PollScheduler } from '../src/poll-scheduler.js';
+import { parseControlCommand } from '../src/playback-control.js';
+import { toVLCCommand } from '../src/vlc-poller.js';
+import { flattenVLCPlaylist, summarizePlaylist } from '../src/playlist.js';
+import { extractMusicInfo, extractStreamInfo } from '../src/music-info.js';
+import { AlbumArtResolver } from '../src/album-art-resolver.js';
+import { parseVLCStatus, extractMetadataLookupInfo } from '../src/vlc-parser.js';
+import { parseTechnicalInfo, formatChannels } from '../src/stream-info.js';
+import { discLabelFromUrl } from '../src/chapter-info.js';
+import { addChapterInfo, createTvShowActivity } from '../src/presence-builder.js';
+import { createPlayerAdapter } from '../src/player-factory.js';
+import { MockVLCServer } from '../src/mock-vlc-server.js';
+import { VLCSetupHelper } from '../src/vlc-setup-helper.js';
+import { VLCMonitor } from '../src/vlc-monitor.js';
+import { FakeDiscordIPC } from '../src/fake-discord-ipc.js';
+import { DiscordPresence } from '../src/discord-presence.js';
+import { parseNfo, findNfoInfo } from '../src/nfo-reader.js';
+import { extractIdTags } from '../src/id-tags.js';
+import { matchesPathPattern } from '../src/folder-rules.js';
+import { metadataDb } from '../src/metadata-overrides-db.js';
+import { normalizeIdlePolicy, evaluateIdle } from '../src/idle-policy.js';
+import { SessionTracker } from '../src/session-tracker.js';
+import { rankCandidates, closeAlternatives } from '../src/title-candidates.js';
+import { mapFromEpisodeGroup, mapFromSeasonCounts } from '../src/absolute-episodes.js';
+import { matchEpisodeRange, formatEpisodeTitles } from '../src/episode-range.js';
+import { extractTvInfo, detectSpecial, matchSpecialEpisode } from '../src/tv-show-helper.js';
+import cleanTitle from '../src/title-cleaner.js';
+import { TMDbClient } from '../src/tmdb-client.js';
+import { MpvAdapter, toVLCStatusJson, toMpvCommand } from '../src/mpv-adapter.js';
+import { KodiAdapter, extractIds, toKodiSeekValue } from '../src/kodi-adapter.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import type { AddressInfo } from 'net';
 
 // ============================================================================
 // Environment Validator Tests
@@ -510,3 +550,1311 @@ describe('VLC Status', () => {
     expect(status.state).toBe('stopped');
   });
 });
+
+// ============================================================================
+// Player Backend Tests
+// ============================================================================
+
+describe('mpv IPC', () => {
+  type MpvRequest = { command: unknown[]; request_id: number };
+  let dir: string;
+  let socketPath: string;
+  let server: net.Server;
+  let onRequests: (requests: MpvRequest[], socket: net.Socket) => void;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vlcord-mpv-'));
+    socketPath = path.join(dir, 'mpvsocket');
+    // Hands each connection's requests to the current test once they have all arrived
+    server = net.createServer(socket => {
+      let buffer = '';
+      socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        if (!buffer.endsWith('\n')) return;
+        const requests = buffer.trim().split('\n').map(line => JSON.parse(line) as MpvRequest);
+        buffer = '';
+        onRequests(requests, socket);
+      });
+    });
+    await new Promise<void>(resolve => server.listen(socketPath, resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const reply = (socket: net.Socket, message: object) => socket.write(JSON.stringify(message) + '\n');
+
+  it('should match replies to requests by request_id and skip events', async () => {
+    onRequests = (requests, socket) => {
+      reply(socket, { event: 'playback-restart' });
+      for (const request of [...requests].reverse()) {
+        reply(socket, { request_id: request.request_id, error: 'success', data: request.command[1] });
+      }
+    };
+    const mpv = new MpvAdapter({ mpvSocket: socketPath });
+
+    const values = await mpv.getProperties(['pause', 'path', 'duration']);
+    expect(values).toEqual({ pause: 'pause', path: 'path', duration: 'duration' });
+  });
+
+  it('should return null for failed properties unless strict', async () => {
+    onRequests = (requests, socket) => {
+      for (const request of requests) {
+        reply(socket, { request_id: request.request_id, error: 'property unavailable' });
+      }
+    };
+    const mpv = new MpvAdapter({ mpvSocket: socketPath });
+
+    expect(await mpv.getProperties(['duration'])).toEqual({ duration: null });
+    await expect(mpv.sendCommands([['playlist-next']], { strict: true }))
+      .rejects.toThrow('mpv command "playlist-next" failed: property unavailable');
+  });
+
+  it('should time out when mpv never replies', async () => {
+    onRequests = () => {};
+    const mpv = new MpvAdapter({ mpvSocket: socketPath, timeout: 100 });
+
+    await expect(mpv.getProperties(['pause'])).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+  });
+
+  it('should fail when mpv closes the socket before replying to everything', async () => {
+    onRequests = (requests, socket) => {
+      reply(socket, { request_id: requests[0].request_id, error: 'success', data: false });
+      socket.end();
+    };
+    const mpv = new MpvAdapter({ mpvSocket: socketPath });
+
+    await expect(mpv.getProperties(['pause', 'path'])).rejects.toMatchObject({ code: 'ECONNRESET' });
+  });
+
+  it('should send control commands through the socket', async () => {
+    const received: unknown[][] = [];
+    onRequests = (requests, socket) => {
+      for (const request of requests) {
+        received.push(request.command);
+        reply(socket, { request_id: request.request_id, error: 'success' });
+      }
+    };
+    const mpv = new MpvAdapter({ mpvSocket: socketPath });
+
+    await mpv.sendControl('seek', { mode: 'relative', amount: -10 });
+    expect(received).toEqual([['seek', -10, 'relative']]);
+  });
+
+  it('should map mpv properties onto the VLC status layout', () => {
+    const status = toVLCStatusJson({
+      'idle-active': false,
+      pause: true,
+      'time-pos': 90.5,
+      duration: 3600,
+      'percent-pos': 25,
+      path: '/media/Movie.2020.mkv',
+      filename: 'Movie.2020.mkv',
+      metadata: { TITLE: 'Movie', Artist: '', ENCODER: 'x264' },
+      'playlist-pos': 2,
+      chapter: 1,
+      chapters: 3,
+      'chapter-metadata': { title: 'Opening' },
+      speed: 1.5,
+    });
+
+    expect(status).toEqual({
+      state: 'paused',
+      currentplid: 2,
+      time: 90.5,
+      length: 3600,
+      position: 0.25,
+      rate: 1.5,
+      information: {
+        chapter: 1,
+        chapters: [0, 1, 2],
+        category: {
+          meta: {
+            title: 'Movie',
+            encoder: 'x264',
+            filename: 'Movie.2020.mkv',
+            filepath: '/media/Movie.2020.mkv',
+            chapter_name: 'Opening',
+          },
+        },
+      },
+    });
+  });
+
+  it('should report idle mpv as stopped', () => {
+    const status = toVLCStatusJson({ 'idle-active': true, 'time-pos': null, speed: 0 });
+
+    expect(status.state).toBe('stopped');
+    expect(status.currentplid).toBe(-1);
+    expect(status.time).toBe(0);
+    expect(status.rate).toBe(1);
+    expect(status.information.chapters).toBeUndefined();
+  });
+
+  it('should map control actions onto mpv commands', () => {
+    expect(toMpvCommand('pause')).toEqual(['set_property', 'pause', true]);
+    expect(toMpvCommand('play')).toEqual(['set_property', 'pause', false]);
+    expect(toMpvCommand('next')).toEqual(['playlist-next']);
+    expect(toMpvCommand('previous')).toEqual(['playlist-prev']);
+    expect(toMpvCommand('seek', { mode: 'absolute', amount: 120 })).toEqual(['seek', 120, 'absolute']);
+    expect(toMpvCommand('seek', { mode: 'percent', amount: 50 })).toEqual(['seek', 50, 'absolute-percent']);
+    expect(toMpvCommand('volume', { mode: 'relative', amount: 5 })).toEqual(['add', 'volume', 5]);
+    expect(toMpvCommand('volume', { mode: 'absolute', amount: 80 })).toEqual(['set_property', 'volume', 80]);
+    expect(() => toMpvCommand('stop')).toThrow('Unsupported control action');
+  });
+});
+
+
+describe('Kodi Library IDs', () => {
+  const properties = { time: { minutes: 5 }, totaltime: { hours: 1 }, percentage: 8.3, speed: 1 };
+
+  it('should take episode info and show IDs from the Kodi library', () => {
+    const status = new KodiAdapter().normalizeStatus({
+      item: { type: 'episode', title: 'The One with the Sonogram', showtitle: 'Friends', season: 1, episode: 2, file: '/tv/friends.s01e02.mkv' },
+      properties,
+      show: { uniqueid: { tmdb: '1668', tvdb: '79168' }, imdbnumber: 'tt0108778' },
+    });
+
+    expect(status).toMatchObject({
+      playing: true,
+      elapsed: 300,
+      length: 3600,
+      mediaType: 'tv',
+      title: 'Friends',
+      season: 1,
+      episode: 2,
+      episodeTitle: 'The One with the Sonogram',
+      ids: { tmdb: '1668', imdb: 'tt0108778', tvdb: '79168' },
+      idSource: 'kodi',
+      titleForLookup: 'Friends',
+    });
+  });
+
+  it('should take movie info and IDs from the Kodi library', () => {
+    const status = new KodiAdapter().normalizeStatus({
+      item: { type: 'movie', title: 'Heat', year: 1995, file: '/movies/heat.mkv', uniqueid: { imdb: 'tt0113277' } },
+      properties: { ...properties, speed: 0 },
+    });
+
+    expect(status).toMatchObject({
+      paused: true,
+      mediaType: 'movie',
+      title: 'Heat',
+      year: 1995,
+      ids: { tmdb: null, imdb: 'tt0113277', tvdb: null },
+      idSource: 'kodi',
+    });
+  });
+
+  it('should extract IDs from Kodi library entries', () => {
+    expect(extractIds({ uniqueid: { tmdb: '949', imdb: 'tt0113277' } })).toEqual({ tmdb: '949', imdb: 'tt0113277', tvdb: null });
+    expect(extractIds({ uniqueid: {}, imdbnumber: 'tt0113277' })).toEqual({ tmdb: null, imdb: 'tt0113277', tvdb: null });
+    // Older scrapers store the TVDB ID in imdbnumber
+    expect(extractIds({ uniqueid: {}, imdbnumber: '79168' })).toBeNull();
+    expect(extractIds(null)).toBeNull();
+  });
+
+  it('should convert seek values for Player.Seek', () => {
+    expect(toKodiSeekValue({ mode: 'percent', amount: 50 })).toEqual({ percentage: 50 });
+    expect(toKodiSeekValue({ mode: 'relative', amount: -10.4 })).toEqual({ seconds: -10 });
+    expect(toKodiSeekValue({ mode: 'absolute', amount: 3725 })).toEqual({ time: { hours: 1, minutes: 2, seconds: 5, milliseconds: 0 } });
+    expect(toKodiSeekValue({ mode: 'absolute', amount: -5 })).toEqual({ time: { hours: 0, minutes: 0, seconds: 0, milliseconds: 0 } });
+  });
+
+  it('should keep episode 0 in the lookup info', () => {
+    const lookup = extractMetadataLookupInfo({ mediaType: 'tv', mediaInfo: { title: 'Doctor Who', season: 4, episode: 0 } });
+    expect(lookup).toMatchObject({ season: 4, episode: 0 });
+  });
+});
+
+describe('TMDb ID Lookup', () => {
+  const stubClient = () => {
+    const client = new TMDbClient('key');
+    const requests: Array<{ endpoint: string; params: Record<string, string> }> = [];
+    client.fetchFromApi = async (endpoint: string, params: Record<string, string> = {}) => {
+      requests.push({ endpoint, params });
+      if (endpoint === '/find/tt0113277') return { movie_results: [{ id: 949 }], tv_results: [], tv_episode_results: [] };
+      if (endpoint === '/find/303821') {
+        return { movie_results: [], tv_results: [], tv_episode_results: [{ id: 85987, show_id: 1668, season_number: 1, episode_number: 2 }] };
+      }
+      if (endpoint === '/movie/949') return { id: 949, title: 'Heat' };
+      if (endpoint === '/tv/1668') return { id: 1668, name: 'Friends' };
+      if (endpoint.startsWith('/tv/1668/season/')) return { season_number: 1, episode_number: 2, name: 'The One with the Sonogram' };
+      return {};
+    };
+    return { client, requests };
+  };
+
+  it('should use TMDb IDs directly', async () => {
+    const { client, requests } = stubClient();
+
+    expect(await client.lookupByIds({ tmdb: 949 }, { mediaType: 'movie' })).toMatchObject({ type: 'movie', id: 949 });
+    expect(await client.lookupByIds({ tmdb: 1668 }, { mediaType: 'tv', season: 1, episode: 2 }))
+      .toMatchObject({ type: 'tv', id: 1668, episodeNumber: 2 });
+    expect(requests.map(request => request.endpoint)).toEqual(['/movie/949', '/tv/1668', '/tv/1668/season/1/episode/2']);
+  });
+
+  it('should resolve IMDb movie IDs through /find', async () => {
+    const { client, requests } = stubClient();
+
+    const metadata = await client.lookupByIds({ tmdb: null, imdb: 'tt0113277', tvdb: null }, { mediaType: 'unknown' });
+    expect(metadata).toMatchObject({ type: 'movie', id: 949, title: 'Heat' });
+    expect(requests[0]).toEqual({ endpoint: '/find/tt0113277', params: { external_source: 'imdb_id' } });
+  });
+
+  it('should resolve TVDB episode IDs to the show and episode', async () => {
+    const { client, requests } = stubClient();
+
+    const metadata = await client.lookupByIds({ tmdb: null, imdb: null, tvdb: '303821' }, { mediaType: 'tv' });
+    expect(metadata).toMatchObject({ type: 'tv', id: 1668, seasonNumber: 1, episodeNumber: 2 });
+    expect(requests.map(request => request.endpoint)).toEqual(['/find/303821', '/tv/1668', '/tv/1668/season/1/episode/2']);
+    expect(requests[0].params).toEqual({ external_source: 'tvdb_id' });
+  });
+});
+
+
+// ============================================================================
+// VLC Instance Arbitration Tests
+// ============================================================================
+
+describe('VLC Instance Arbitration', () => {
+  const playing = { connected: true, playing: true, paused: false };
+  const paused = { connected: true, playing: false, paused: true };
+  const idle = { connected: true, playing: false, paused: false };
+
+  it('should prefer a playing instance over a paused one', () => {
+    const entries = [
+      { id: 'desktop', priority: 5, startedAt: 2000, status: paused },
+      { id: 'htpc', priority: 0, startedAt: 1000, status: playing }
+    ];
+    expect(selectActiveInstance(entries, 'playing-first')).toBe('htpc');
+  });
+
+  it('should pick the most recently started media', () => {
+    const entries = [
+      { id: 'desktop', priority: 0, startedAt: 1000, status: playing },
+      { id: 'htpc', priority: 0, startedAt: 2000, status: paused },
+      { id: 'laptop', priority: 0, startedAt: 0, status: idle }
+    ];
+    expect(selectActiveInstance(entries, 'most-recent')).toBe('htpc');
+  });
+
+  it('should honour explicit priority among instances with media', () => {
+    const entries = [
+      { id: 'desktop', priority: 1, startedAt: 2000, status: playing },
+      { id: 'htpc', priority: 10, startedAt: 1000, status: paused },
+      { id: 'laptop', priority: 99, startedAt: 0, status: idle }
+    ];
+    expect(selectActiveInstance(entries, 'priority')).toBe('htpc');
+  });
+
+  it('should fall back to config order when nothing is playing', () => {
+    const entries = [
+      { id: 'desktop', priority: 0, startedAt: 0, status: idle },
+      { id: 'htpc', priority: 0, startedAt: 0, status: { connected: false } }
+    ];
+    expect(selectActiveInstance(entries, 'playing-first')).toBe('desktop');
+    expect(selectActiveInstance([], 'playing-first')).toBeNull();
+  });
+
+  it('should only re-emit the active instance\'s updates', () => {
+    const manager = new VLCInstanceManager([{ id: 'desktop' }, { id: 'htpc' }]);
+    const updates: string[] = [];
+    manager.on('statusUpdate', (status: { instanceId?: string, title?: string }) => updates.push(String(status.title)));
+    const poll = (id: string, status: object) => {
+      const { monitor } = manager.instances.get(id);
+      Object.assign(monitor.currentStatus, status);
+      monitor.emit('statusUpdate', monitor.currentStatus);
+    };
+
+    poll('desktop', { ...playing, title: 'Heat' });
+    poll('htpc', idle);
+    poll('desktop', { ...playing, title: 'Heat' });
+    expect(updates).toEqual(['Heat', 'Heat']);
+
+    // The background instance taking over is announced once
+    poll('desktop', idle);
+    poll('htpc', { ...playing, title: 'Alien' });
+    expect(updates).toEqual(['Heat', 'Heat', 'Heat', 'Alien']);
+  });
+});
+
+// ============================================================================
+// Playback Event Tests
+// ============================================================================
+
+describe('Playback Events', () => {
+  const playing = {
+    connected: true,
+    playing: true,
+    paused: false,
+    title: 'Inception',
+    originalTitle: 'Inception.2010.mkv',
+    elapsed: 100,
+    length: 8880,
+    lastUpdated: 1000
+  };
+  const types = (previous: Record<string, unknown> | null, current: Record<string, unknown>) =>
+    detectPlaybackEvents(previous, current).map((e: { type: string }) => e.type);
+
+  it('should report pause and resume transitions', () => {
+    const paused = { ...playing, playing: false, paused: true, lastUpdated: 2000 };
+    expect(types(playing, paused)).toEqual(['paused']);
+    expect(types(paused, { ...playing, lastUpdated: 3000 })).toEqual(['resumed']);
+  });
+
+  it('should report seeks with from/to but ignore normal progress', () => {
+    expect(types(playing, { ...playing, elapsed: 101, lastUpdated: 2000 })).toEqual([]);
+
+    const [event] = detectPlaybackEvents(playing, { ...playing, elapsed: 600, lastUpdated: 2000 });
+    expect(event.type).toBe('seeked');
+    expect(event.from).toBe(100);
+    expect(event.to).toBe(600);
+  });
+
+  it('should expect faster progress at higher playback rates', () => {
+    const fast = { ...playing, rate: 2 };
+    expect(types(fast, { ...fast, elapsed: 120, lastUpdated: 11000 })).toEqual([]);
+    expect(types(playing, { ...playing, elapsed: 120, lastUpdated: 11000 })).toEqual(['seeked']);
+  });
+
+  it('should report ended when media stops near the end', () => {
+    const nearEnd = { ...playing, elapsed: 8875 };
+    const stopped = { ...playing, playing: false, title: null };
+    expect(types(nearEnd, stopped)).toEqual(['ended', 'stopped']);
+    expect(types(playing, stopped)).toEqual(['stopped']);
+  });
+
+  it('should report new episodes of the same show as mediaChanged', () => {
+    const episode = { ...playing, title: 'Severance', season: 1, episode: 1 };
+    expect(types(episode, { ...episode, episode: 2 })).toEqual(['mediaChanged']);
+  });
+
+  it('should report connection transitions', () => {
+    const offline = { connected: false, playing: false, paused: false };
+    expect(types(playing, offline)).toEqual(['disconnected', 'stopped']);
+    expect(types(offline, playing)).toEqual(['reconnected', 'mediaStarted']);
+  });
+});
+
+// ============================================================================
+// Adaptive Poll Scheduler Tests
+// ============================================================================
+
+describe('Adaptive Poll Scheduler', () => {
+  it('should back off exponentially while unreachable, up to the ceiling', () => {
+    const scheduler = new PollScheduler({ baseInterval: 1000, maxInterval: 5000 });
+    const delays = [1, 2, 3, 4, 5].map(i => scheduler.next('unreachable', i * 1000));
+    expect(delays).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it('should poll fast right after a state change, then settle', () => {
+    const scheduler = new PollScheduler({ baseInterval: 1000, minInterval: 250, boostDuration: 3000 });
+    scheduler.next('stopped', 0);
+    expect(scheduler.next('playing', 1000)).toBe(250);
+    expect(scheduler.next('playing', 3500)).toBe(250);
+    expect(scheduler.next('playing', 4500)).toBe(1000);
+  });
+
+  it('should keep a fixed interval when adaptive polling is disabled', () => {
+    const scheduler = new PollScheduler({ baseInterval: 2000, adaptive: false });
+    expect(scheduler.next('unreachable', 0)).toBe(2000);
+    expect(scheduler.next('playing', 1000)).toBe(2000);
+    expect(scheduler.currentInterval).toBe(2000);
+  });
+});
+
+// ============================================================================
+// Playback Control Tests
+// ============================================================================
+
+describe('Playback Control', () => {
+  it('should normalize seek values', () => {
+    expect(parseControlCommand('seek', 90).value).toEqual({ mode: 'absolute', amount: 90 });
+    expect(parseControlCommand('seek', '-10').value).toEqual({ mode: 'relative', amount: -10 });
+    expect(parseControlCommand('seek', '50%').value).toEqual({ mode: 'percent', amount: 50 });
+    expect(parseControlCommand('pause').value).toBeNull();
+  });
+
+  it('should reject unknown actions and invalid values', () => {
+    expect(() => parseControlCommand('eject')).toThrow('Unknown control action');
+    expect(() => parseControlCommand('seek', 'soon')).toThrow('Invalid value');
+    expect(() => parseControlCommand('volume', '50%')).toThrow();
+  });
+
+  it('should map commands onto VLC status.json parameters', () => {
+    expect(toVLCCommand('pause', null)).toEqual({ command: 'pl_forcepause' });
+    expect(toVLCCommand('next', null)).toEqual({ command: 'pl_next' });
+    expect(toVLCCommand('seek', { mode: 'relative', amount: 10 })).toEqual({ command: 'seek', val: '+10' });
+    expect(toVLCCommand('volume', { mode: 'absolute', amount: 100 })).toEqual({ command: 'volume', val: '256' });
+  });
+
+  it('should return the status after a poll that was already running', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    let state = 'paused';
+    let release: () => void = () => {};
+    const slowPoll = new Promise<void>(resolve => { release = resolve; });
+    let polls = 0;
+    monitor.player.fetchStatus = async () => {
+      // The first poll reads the state before the command, then stalls
+      const seen = state;
+      if (++polls === 1) await slowPoll;
+      return { state: seen, time: 5, length: 1400, information: { category: { meta: { filename: 'Heat.1995.mkv' } } } };
+    };
+    monitor.player.fetchPlaylist = async () => [];
+    monitor.player.sendControl = async () => { state = 'playing'; };
+    monitor.tmdbClient = { searchMovie: async () => null, searchTvShow: async () => null };
+
+    const tick = monitor.pollVLC();
+    const control = monitor.control('play');
+    // Let the command reach the player while the first poll is still stalled
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+
+    expect(await control).toMatchObject({ playing: true, paused: false });
+    await tick;
+  });
+});
+
+// ============================================================================
+// Playlist Tests
+// ============================================================================
+
+describe('Playlist', () => {
+  const playlistJson = {
+    type: 'node',
+    children: [
+      {
+        type: 'node',
+        id: '1',
+        name: 'Playlist',
+        children: [
+          { type: 'leaf', id: '4', name: 'Severance.S01E02.1080p.mkv', uri: 'file:///tv/Severance.S01E02.1080p.mkv' },
+          { type: 'leaf', id: '5', name: 'Severance.S01E03.1080p.mkv', uri: 'file:///tv/Severance.S01E03.1080p.mkv', current: 'current' },
+          { type: 'leaf', id: '6', name: 'Severance.S01E04.1080p.mkv', uri: 'file:///tv/Severance.S01E04.1080p.mkv' }
+        ]
+      },
+      { type: 'node', id: '2', name: 'Media Library', children: [] }
+    ]
+  };
+
+  it('should flatten only the queue, not the media library', () => {
+    const items = flattenVLCPlaylist(playlistJson);
+    expect(items.map((item: { id: string }) => item.id)).toEqual(['4', '5', '6']);
+  });
+
+  it('should report position, length and the parsed next item', () => {
+    const summary = summarizePlaylist(flattenVLCPlaylist(playlistJson), '5');
+    expect(summary.playlistPosition).toBe(2);
+    expect(summary.playlistLength).toBe(3);
+    expect(summary.nextItem.season).toBe(1);
+    expect(summary.nextItem.episode).toBe(4);
+    expect(summary.nextItem.label).toBe('S01E04');
+  });
+
+  it('should have no next item at the end of the queue', () => {
+    const summary = summarizePlaylist(flattenVLCPlaylist(playlistJson), '6');
+    expect(summary.playlistPosition).toBe(3);
+    expect(summary.nextItem).toBeNull();
+    expect(summarizePlaylist([]).playlistLength).toBe(0);
+  });
+});
+
+// ============================================================================
+// Music Mode Tests
+// ============================================================================
+
+describe('Music Mode', () => {
+  const statusWith = (meta: Record<string, string>, streams: Record<string, unknown> = {}) => ({
+    state: 'playing',
+    information: { category: { meta, ...streams } }
+  });
+
+  it('should detect tagged audio files', () => {
+    const music = extractMusicInfo(statusWith(
+      { filename: '03 - Paranoid Android.flac', title: 'Paranoid Android', artist: 'Radiohead', album: 'OK Computer', track_number: '2', date: '1997-05-21' },
+      { 'Stream 0': { Type: 'Audio', Codec: 'FLAC' } }
+    ));
+    expect(music).toMatchObject({ title: 'Paranoid Android', artist: 'Radiohead', album: 'OK Computer', trackNumber: 2, year: 1997 });
+  });
+
+  it('should not treat videos as music', () => {
+    const video = statusWith(
+      { filename: 'Inception.2010.1080p.mkv', title: 'Inception' },
+      { 'Stream 0': { Type: 'Video' }, 'Stream 1': { Type: 'Audio' } }
+    );
+    expect(extractMusicInfo(video)).toBeNull();
+  });
+
+  describe('album art resolver', () => {
+    let server: http.Server;
+    let baseUrl: string;
+    let requests: string[];
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        requests.push(req.url || '');
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          resultCount: 1,
+          results: [{
+            artworkUrl100: 'https://example.test/art/100x100bb.jpg',
+            collectionViewUrl: 'https://example.test/album/ok-computer'
+          }]
+        }));
+      });
+      await new Promise<void>(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+      baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should resolve and cache artwork from a search API', async () => {
+      const resolver = new AlbumArtResolver({ baseUrl });
+      const music = { title: 'Paranoid Android', artist: 'Radiohead', album: 'OK Computer' };
+
+      const first = await resolver.resolve(music);
+      const second = await resolver.resolve(music);
+
+      expect(first.artworkUrl).toBe('https://example.test/art/512x512bb.jpg');
+      expect(first.url).toBe('https://example.test/album/ok-computer');
+      expect(second.artworkUrl).toBe(first.artworkUrl);
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toContain('entity=album');
+    });
+  });
+});
+
+// ============================================================================
+// Internet Radio Tests
+// ============================================================================
+
+describe('Internet Radio', () => {
+  const radioStatus = (nowPlaying: string) => ({
+    state: 'playing',
+    time: 600,
+    length: 0,
+    information: {
+      category: {
+        meta: {
+          url: 'http://ice1.somafm.com/groovesalad-128-mp3',
+          title: 'Groove Salad',
+          now_playing: nowPlaying
+        },
+        'Stream 0': { Type: 'Audio' }
+      }
+    }
+  });
+
+  it('should split now_playing into artist and song', () => {
+    const stream = extractStreamInfo(radioStatus('Boards of Canada - Roygbiv'));
+    expect(stream).toMatchObject({ station: 'Groove Salad', artist: 'Boards of Canada', title: 'Roygbiv' });
+  });
+
+  it('should treat each now_playing change as a new track', () => {
+    const first = parseVLCStatus(radioStatus('Boards of Canada - Roygbiv'));
+    const second = parseVLCStatus(radioStatus('Tycho - Awake'));
+    expect(first.mediaType).toBe('radio');
+    expect(first.title).toBe('Roygbiv');
+    expect(second.title).toBe('Awake');
+    expect(second.titleForLookup).not.toBe(first.titleForLookup);
+  });
+
+  it('should ignore local files', () => {
+    expect(extractStreamInfo({ information: { category: { meta: { filename: 'song.mp3' } } } })).toBeNull();
+  });
+
+  it('should not call a stream radio before its audio and video streams are known', () => {
+    const firstPoll = { state: 'playing', time: 0, length: 0, information: { category: { meta: { url: 'https://iptv.example.com/news/index.m3u8', title: 'News 24' } } } };
+    expect(extractStreamInfo(firstPoll)).toBeNull();
+    expect(parseVLCStatus(firstPoll).mediaType).not.toBe('radio');
+
+    const video = { ...firstPoll.information.category, 'Stream 0': { Type: 'Video' }, 'Stream 1': { Type: 'Audio' } };
+    expect(extractStreamInfo({ ...firstPoll, information: { category: video } })).toBeNull();
+  });
+});
+
+describe('Stream Technical Info', () => {
+  const category = {
+    meta: { filename: 'Movie.2019.2160p.UHD.BluRay.mkv' },
+    'Stream 0': {
+      Type: 'Video',
+      Codec: 'MPEG-H Part2/HEVC (H.265) (hevc)',
+      Video_resolution: '3840x1600',
+      Frame_rate: '23.976024',
+      Color_transfer_function: 'SMPTE ST2084 (PQ)',
+    },
+    'Stream 1': { Type: 'Audio', Codec: 'DTS Audio (dts)', Channels: '3F2M/LFE', Language: 'English' },
+    'Stream 2': { Type: 'Subtitle', Codec: 'PGS subtitles (pgs)', Language: 'French' },
+  };
+
+  it('should parse resolution, codecs, HDR and audio layout', () => {
+    const tech = parseTechnicalInfo(category, 'Movie.2019.2160p.UHD.BluRay.mkv');
+    expect(tech).toMatchObject({
+      resolution: '2160p',
+      videoCodec: 'HEVC',
+      frameRate: 23.976,
+      hdr: 'HDR10',
+      audioCodec: 'DTS',
+      audioChannels: '5.1',
+      atmos: false,
+      subtitleLanguage: 'French',
+      summary: '4K HDR • DTS 5.1',
+    });
+  });
+
+  it('should pick up release tags VLC does not report', () => {
+    const tech = parseTechnicalInfo(category, 'Movie.2019.2160p.DV.TrueHD.Atmos.mkv');
+    expect(tech.hdr).toBe('Dolby Vision');
+    expect(tech.summary).toBe('4K Dolby Vision • Atmos');
+  });
+
+  it('should map VLC channel layouts', () => {
+    expect(formatChannels('Stereo')).toBe('2.0');
+    expect(formatChannels('3F2M2R/LFE')).toBe('7.1');
+    expect(formatChannels('')).toBeNull();
+  });
+
+  it('should expose the block on the parsed status', () => {
+    const status = parseVLCStatus({ state: 'playing', time: 10, length: 100, information: { category } });
+    expect(status.technical.summary).toBe('4K HDR • DTS 5.1');
+    expect(parseVLCStatus({ state: 'playing', information: { category: { meta: { filename: 'a.mkv' } } } }).technical).toBeNull();
+  });
+});
+
+describe('Chapters and Discs', () => {
+  const discStatus = (title: number, metaTitle: string) => ({
+    state: 'playing',
+    time: 300,
+    length: 7200,
+    information: {
+      chapter: 6,
+      chapters: Array.from({ length: 24 }, (_, i) => i),
+      title,
+      titles: [0, 1, 2, 3],
+      category: { meta: { title: metaTitle, url: 'dvd:///media/me/INCEPTION/' } },
+    },
+  });
+
+  it('should carry 1-based chapter and disc title numbers', () => {
+    const status = parseVLCStatus(discStatus(2, 'Title 3'));
+    expect(status).toMatchObject({ chapter: 7, chapterCount: 24, discTitle: 3, discTitleCount: 4 });
+  });
+
+  it('should keep the same lookup key when the disc title changes', () => {
+    const menu = parseVLCStatus(discStatus(0, 'DVD Menu'));
+    const feature = parseVLCStatus(discStatus(2, 'Title 3'));
+    expect(menu.originalTitle).toBe('INCEPTION');
+    expect(feature.titleForLookup).toBe(menu.titleForLookup);
+    expect(feature.originalTitle).toBe(menu.originalTitle);
+  });
+
+  it('should ignore device paths when guessing the disc label', () => {
+    expect(discLabelFromUrl('bluray:///media/me/THE_MATRIX/#1')).toBe('THE MATRIX');
+    expect(discLabelFromUrl('dvd:///D:/')).toBeNull();
+    expect(discLabelFromUrl('file:///movies/a.mkv')).toBeNull();
+  });
+
+  it('should render the chapter as the state line', () => {
+    const activity = addChapterInfo({ state: 'Overview' }, { chapter: 7, chapterCount: 24, chapterName: 'Limbo', mediaType: 'movie' });
+    expect(activity.state).toBe('Chapter 7/24 • Limbo');
+    expect(addChapterInfo({ state: 'Overview' }, { chapter: null, mediaType: 'movie' }).state).toBe('Overview');
+  });
+});
+
+describe('Session Record and Replay', () => {
+  const statusAt = (time: number) => ({ state: 'playing', time, length: 100, information: { category: { meta: { filename: 'Heat.1995.mkv' } } } });
+
+  it('should record polls and replay them on the recorded timeline', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vlcord-replay-'));
+    const recordPath = path.join(dir, '{id}.jsonl');
+    const responses: Array<ReturnType<typeof statusAt> | Error> = [statusAt(10), Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })];
+
+    const recorder = createPlayerAdapter({ backend: 'vlc', id: 'desk', recordPath });
+    recorder.adapter.fetchStatus = async () => {
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    };
+    await recorder.fetchStatus();
+    await expect(recorder.fetchStatus()).rejects.toThrow('refused');
+
+    const lines = fs.readFileSync(path.join(dir, 'desk.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.type)).toEqual(['session', 'status', 'error']);
+
+    // Push the error later on the timeline so the clock decides which entry is returned
+    lines[2].t = 5000;
+    fs.writeFileSync(path.join(dir, 'desk.jsonl'), lines.map(line => JSON.stringify(line)).join('\n'));
+
+    let now = 0;
+    const replay = createPlayerAdapter({ id: 'desk', replayPath: recordPath, replaySpeed: 2, clock: () => now });
+    expect(replay.normalizeStatus(await replay.fetchStatus()).elapsed).toBe(10);
+    now = 2000;
+    await expect(replay.fetchStatus()).resolves.toMatchObject({ time: 10 });
+    now = 2500;
+    await expect(replay.fetchStatus()).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(replay.finished).toBe(true);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Mock VLC Server', () => {
+  let now = 0;
+  const mock = new MockVLCServer({ port: 0, password: 'secret', clock: () => now });
+
+  beforeAll(() => mock.listen());
+  afterAll(() => mock.close());
+
+  it('should pass the VLC connection test and enforce the password', async () => {
+    const helper = new VLCSetupHelper();
+    await expect(helper.testVLCConnection('127.0.0.1', mock.port, 'secret')).resolves.toMatchObject({ success: true });
+    await expect(helper.testVLCConnection('127.0.0.1', mock.port, 'wrong')).resolves.toMatchObject({ error: 'auth_failed' });
+  });
+
+  it('should drive VLCMonitor like a real VLC', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc', host: '127.0.0.1', port: mock.port, password: 'secret' });
+    monitor.fetchMetadata = async () => null;
+
+    mock.load('Heat.1995.mkv', { length: 600 });
+    mock.enqueue('The.Office.US.S02E01.mkv', { length: 1300 });
+    now += 90 * 1000;
+    await monitor.pollVLC();
+    expect(monitor.getCurrentStatus()).toMatchObject({ playing: true, elapsed: 90, length: 600, playlistPosition: 1, playlistLength: 2 });
+
+    await monitor.control('seek', '50%');
+    await monitor.control('pause');
+    expect(monitor.getCurrentStatus()).toMatchObject({ paused: true, elapsed: 300 });
+
+    // Playback runs past the end of the first item into the next one
+    await monitor.control('play');
+    now += 310 * 1000;
+    await monitor.pollVLC();
+    expect(monitor.getCurrentStatus()).toMatchObject({ playing: true, originalTitle: 'The.Office.US.S02E01.mkv', elapsed: 10, playlistPosition: 2 });
+  });
+});
+
+describe('Discord Presence over fake IPC', () => {
+  const originalRuntimeDir = process.env.XDG_RUNTIME_DIR;
+  let dir: string;
+  let fake: InstanceType<typeof FakeDiscordIPC>;
+  let presence: InstanceType<typeof DiscordPresence>;
+
+  const waitFor = async (condition: () => boolean, timeout = 3000) => {
+    const started = Date.now();
+    while (!condition()) {
+      if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+  const movieStatus = (title: string) => ({
+    title,
+    playing: true,
+    elapsed: 60,
+    length: 7200,
+    position: 0.01,
+    mediaType: 'movie',
+    metadata: { type: 'movie', id: 949, title, year: 1995, tmdbUrl: 'https://www.themoviedb.org/movie/949' },
+  });
+
+  beforeAll(async () => {
+    // discord-rpc looks for the pipe under XDG_RUNTIME_DIR first
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vlcord-ipc-'));
+    process.env.XDG_RUNTIME_DIR = dir;
+    fake = new FakeDiscordIPC();
+    await fake.listen();
+    presence = new DiscordPresence({ clientId: '123456789012345678' });
+    await waitFor(() => presence.connected);
+  });
+
+  afterAll(async () => {
+    await presence.disconnect();
+    await fake.close();
+    process.env.XDG_RUNTIME_DIR = originalRuntimeDir;
+    if (originalRuntimeDir === undefined) delete process.env.XDG_RUNTIME_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should handshake and send a Watching activity with buttons', async () => {
+    expect(fake.handshakes[0]).toMatchObject({ clientId: '123456789012345678', version: 1 });
+
+    const received = fake.nextActivity();
+    await presence.updatePresence(movieStatus('Heat'));
+    const { activity } = await received;
+    expect(activity).toMatchObject({
+      type: 3,
+      details: 'Heat (1995)',
+      application_id: '123456789012345678',
+      buttons: [{ label: 'View on TMDb', url: 'https://www.themoviedb.org/movie/949' }],
+    });
+    expect(activity.timestamps.end - activity.timestamps.start).toBe(7200 * 1000);
+  });
+
+  it('should scale timestamps by the playback rate and show the speed', async () => {
+    const received = fake.nextActivity();
+    presence.lastUpdateTime = 0;
+    await presence.updatePresence({ ...movieStatus('Heat'), rate: 1.5 });
+    const { activity } = await received;
+    expect(activity.state).toMatch(/1\.5x$/);
+    expect(activity.timestamps.end - activity.timestamps.start).toBe(4800 * 1000);
+  });
+
+  it('should stay connected when Discord rejects a payload', async () => {
+    fake.failNext('SET_ACTIVITY', { code: 4000, message: 'child "activity" fails' });
+    presence.lastUpdateTime = 0;
+    await presence.updatePresence(movieStatus('Ronin'));
+    expect(presence.connected).toBe(true);
+  });
+
+  it('should back off after Discord disconnects and recover on reconnect', async () => {
+    fake.disconnectAll();
+    await waitFor(() => !presence.connected);
+    expect(presence.reconnectAttempts).toBe(1);
+    expect(presence.reconnectTimeout).not.toBeNull();
+
+    // Skip the 5s backoff
+    await presence.initialize();
+    expect(presence.connected).toBe(true);
+    expect(presence.reconnectAttempts).toBe(0);
+    expect(fake.handshakes).toHaveLength(2);
+  });
+});
+
+describe('NFO Sidecars', () => {
+  it('should read IDs from XML and URL-only NFOs', () => {
+    expect(parseNfo('<movie><title>Heat</title><year>1995</year><uniqueid type="tmdb">949</uniqueid><uniqueid type="imdb" default="true">tt0113277</uniqueid></movie>'))
+      .toMatchObject({ kind: 'movie', title: 'Heat', year: 1995, ids: { tmdb: '949', imdb: 'tt0113277' } });
+    expect(parseNfo('https://www.themoviedb.org/tv/1396-breaking-bad')).toMatchObject({ kind: 'tvshow', ids: { tmdb: '1396' } });
+    expect(parseNfo('Release notes, no IDs here')).toBeNull();
+  });
+
+  it('should find tvshow.nfo above season folders and movie NFOs next to the file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vlcord-nfo-'));
+    const season = path.join(dir, 'Breaking Bad', 'Season 1');
+    fs.mkdirSync(season, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'Breaking Bad', 'tvshow.nfo'), '<tvshow><title>Breaking Bad</title><tmdbid>1396</tmdbid></tvshow>');
+    fs.writeFileSync(path.join(season, 'pilot.nfo'), '<episodedetails><title>Pilot</title><season>1</season><episode>1</episode></episodedetails>');
+    fs.writeFileSync(path.join(dir, 'heat.nfo'), '<movie><uniqueid type="tmdb">949</uniqueid></movie>');
+
+    await expect(findNfoInfo(`file://${path.join(season, 'pilot.mkv')}`))
+      .resolves.toMatchObject({ mediaType: 'tv', ids: { tmdb: '1396' }, season: 1, episode: 1 });
+    await expect(findNfoInfo(path.join(dir, 'heat.mkv'))).resolves.toMatchObject({ mediaType: 'movie', ids: { tmdb: '949' } });
+    await expect(findNfoInfo('http://example.com/stream.mkv')).resolves.toBeNull();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should look up each episode played under one tvshow.nfo', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vlcord-nfo-'));
+    fs.writeFileSync(path.join(dir, 'tvshow.nfo'), '<tvshow><title>Show</title><tmdbid>4242</tmdbid></tvshow>');
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    let filename = 'Show.S01E01.mkv';
+    monitor.player.fetchStatus = async () => (
+      { state: 'playing', time: 5, length: 1400, information: { category: { meta: { filename, url: `file://${path.join(dir, filename)}` } } } }
+    );
+    monitor.player.fetchPlaylist = async () => [];
+    const lookupByIds = jest.fn(async (ids: { tmdb: string }, context: { season: number, episode: number }) => (
+      { type: 'tv', id: Number(ids.tmdb), title: 'Show', seasonNumber: context.season, episodeNumber: context.episode, episodeTitle: `Ep ${context.episode}` }
+    ));
+    const searchTvShow = jest.fn(async () => null);
+    monitor.tmdbClient = { lookupByIds, searchTvShow, searchMovie: searchTvShow };
+
+    await monitor.pollVLC();
+    filename = 'Show.S01E02.mkv';
+    await monitor.pollVLC();
+    await monitor.pollVLC();
+
+    expect(lookupByIds).toHaveBeenCalledTimes(2);
+    expect(monitor.currentStatus.metadata).toMatchObject({ seasonNumber: 1, episodeNumber: 2, episodeTitle: 'Ep 2', matchSource: 'nfo' });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Path ID Tags', () => {
+  it('should extract Jellyfin/Plex ID tags', () => {
+    expect(extractIdTags('Parasite (2019) [tmdbid-496243]')).toEqual({ tmdb: '496243', imdb: null, tvdb: null });
+    expect(extractIdTags('The Shawshank Redemption {imdb-tt0111161}')).toMatchObject({ imdb: 'tt0111161' });
+    expect(extractIdTags('Heat [1995] [1080p]')).toBeNull();
+  });
+
+  it('should prefer path IDs over the cleaned title', async () => {
+    const status = parseVLCStatus({
+      state: 'playing',
+      time: 10,
+      length: 1300,
+      information: { category: { meta: { filename: 'Friends S01E02.mkv', filepath: '/tv/Friends [tvdbid-79168]/Season 01/Friends S01E02.mkv' } } },
+    });
+    expect(status).toMatchObject({ ids: { tvdb: '79168' }, idSource: 'filename' });
+
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    const lookupByIds = jest.fn(async () => ({ id: 1668, title: 'Friends' }));
+    const searchTvShow = jest.fn(async () => null);
+    monitor.tmdbClient = { lookupByIds, searchTvShow, searchMovie: searchTvShow };
+    const metadata = await monitor.fetchMetadata({ mediaType: 'tv', title: 'Friends', season: 1, episode: 2, ids: status.ids, idSource: status.idSource });
+    expect(metadata).toMatchObject({ id: 1668, matchSource: 'filename' });
+    expect(searchTvShow).not.toHaveBeenCalled();
+  });
+});
+
+describe('Folder Rules', () => {
+  afterEach(() => {
+    metadataDb.overrides.folderRules = {};
+  });
+
+  it('should match prefixes and globs on folder boundaries', () => {
+    expect(matchesPathPattern('/media/anime/frieren/**', '/media/anime/Frieren/Season 1/01.mkv')).toBe(true);
+    expect(matchesPathPattern('/media/anime/frieren', '/media/anime/Frieren/01.mkv')).toBe(true);
+    expect(matchesPathPattern('/media/anime/frieren', '/media/anime/Frieren 2/01.mkv')).toBe(false);
+    expect(matchesPathPattern('/media/*/frieren/*.mkv', '/media/anime/Frieren/Season 1/01.mkv')).toBe(false);
+  });
+
+  it('should look up the most specific rule before searching by title', async () => {
+    metadataDb.overrides.folderRules = {
+      '/media/anime/frieren/**': { tmdbId: 209867, mediaType: 'tv' },
+      '/media/anime/frieren/part 2': { tmdbId: 209867, mediaType: 'tv', seasonOffset: 1, episodeRegex: '- (\\d+) \\[' },
+    };
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    const lookupByIds = jest.fn(async () => ({ id: 209867 }));
+    const search = jest.fn(async () => null);
+    monitor.tmdbClient = { lookupByIds, searchTvShow: search, searchMovie: search };
+
+    const metadata = await monitor.fetchMetadata({
+      mediaType: 'movie',
+      title: 'Sousou no Frieren',
+      filePath: 'file:///media/anime/Frieren/Part%202/%5BGroup%5D%20Sousou%20no%20Frieren%20-%2003%20%5B1080p%5D.mkv',
+    });
+    expect(metadata).toMatchObject({ id: 209867, matchSource: 'folderRule' });
+    expect(lookupByIds).toHaveBeenCalledWith({ tmdb: '209867', imdb: null, tvdb: null }, { mediaType: 'tv', season: 2, episode: 3 });
+    expect(search).not.toHaveBeenCalled();
+  });
+
+  it('should keep the rule\'s season and episode while playing', async () => {
+    metadataDb.overrides.folderRules = {
+      '/media/anime/frieren/**': { tmdbId: 209867, mediaType: 'tv', seasonOffset: 1 },
+    };
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    let url = 'file:///media/other/Frieren.S01E05.1080p.mkv';
+    monitor.player.fetchStatus = async () => ({ state: 'playing', time: 5, length: 1400, information: { category: { meta: { filename: url.split('/').pop(), url } } } });
+    monitor.player.fetchPlaylist = async () => [];
+    const lookupByIds = jest.fn(async (ids: { tmdb: string }, context: { season: number, episode: number }) => (
+      { type: 'tv', id: Number(ids.tmdb), title: 'Frieren', seasonNumber: context.season, episodeNumber: context.episode, episodeTitle: 'Real Title' }
+    ));
+    const searchTvShow = jest.fn(async () => ({ type: 'tv', id: 1, title: 'Frieren' }));
+    monitor.tmdbClient = { lookupByIds, searchTvShow, searchMovie: searchTvShow };
+
+    // A file elsewhere that cleans to the same title must not hide the rule
+    await monitor.pollVLC();
+    url = 'file:///media/anime/Frieren/Frieren.S01E05.1080p.mkv';
+    await monitor.pollVLC();
+
+    expect(lookupByIds).toHaveBeenCalledTimes(1);
+    expect(monitor.currentStatus.metadata).toMatchObject({ seasonNumber: 2, episodeNumber: 5, episodeTitle: 'Real Title', matchSource: 'folderRule' });
+  });
+});
+
+describe('Idle Policies', () => {
+  const policy = normalizeIdlePolicy({ pausedTimeout: 10 * 60000, pausedAction: 'idle', stoppedTimeout: 5 * 60000 });
+
+  it('should count down from the pause and the stop', () => {
+    const paused = { connected: true, playing: false, paused: true, pausedSince: 1000 };
+    expect(evaluateIdle(paused, policy, 1000 + 60000)).toMatchObject({ reason: 'paused', action: 'idle', remaining: 9 * 60000, expired: false });
+    expect(evaluateIdle(paused, policy, 1000 + 10 * 60000)).toMatchObject({ expired: true });
+
+    const stopped = { connected: true, playing: false, paused: false, stoppedSince: 1000 };
+    expect(evaluateIdle(stopped, policy, 1000 + 5 * 60000)).toMatchObject({ reason: 'stopped', action: 'clear', expired: true });
+    expect(evaluateIdle(stopped, normalizeIdlePolicy({}), 1000)).toBeNull();
+  });
+
+  it('should track pause and stop times in VLCMonitor', () => {
+    const monitor = new VLCMonitor({ backend: 'vlc', idle: { pausedTimeout: 60000 } });
+    monitor.trackIdleTimes({ playing: false, paused: true }, true);
+    const pausedSince = monitor.currentStatus.pausedSince;
+    expect(pausedSince).not.toBeNull();
+    monitor.trackIdleTimes({ playing: false, paused: true }, true);
+    expect(monitor.currentStatus.pausedSince).toBe(pausedSince);
+
+    monitor.trackIdleTimes({ playing: false, paused: false }, true);
+    expect(monitor.currentStatus).toMatchObject({ pausedSince: null, stoppedSince: expect.any(Number) });
+    monitor.trackIdleTimes({ playing: true, paused: false }, false);
+    expect(monitor.currentStatus.stoppedSince).toBeNull();
+  });
+});
+
+describe('Session Tracker', () => {
+  it('should count watched time, not seeks, and complete once past the threshold', () => {
+    let now = 0;
+    const tracker = new SessionTracker({ completionThreshold: 0.25, clock: () => now });
+    const emitted: Array<[string, Record<string, unknown>]> = [];
+    for (const type of ['sessionStarted', 'sessionCompleted', 'sessionEnded']) {
+      tracker.on(type, (session: Record<string, unknown>) => emitted.push([type, session]));
+    }
+
+    let previous: Record<string, unknown> | null = null;
+    const poll = (status: Record<string, unknown>) => {
+      const current = { connected: true, playing: true, paused: false, title: 'Heat', length: 100, lastUpdated: now, ...status };
+      tracker.update(previous, current, detectPlaybackEvents(previous, current));
+      previous = current;
+    };
+
+    poll({ elapsed: 0 });
+    now = 20000;
+    poll({ elapsed: 20 });
+    now = 21000;
+    poll({ elapsed: 90 }); // seek: skipped content isn't watched
+    expect(tracker.getCurrentSession()).toMatchObject({ watchedSeconds: 20, seeks: [{ from: 20, to: 90 }], completed: false });
+
+    now = 30000;
+    poll({ playing: false, paused: true, elapsed: 99 });
+    now = 40000;
+    poll({ playing: false, paused: false, title: null, elapsed: 0 });
+
+    expect(emitted.map(([type]) => type)).toEqual(['sessionStarted', 'sessionCompleted', 'sessionEnded']);
+    expect(emitted[2][1]).toMatchObject({ endReason: 'ended', watchedSeconds: 29, completion: 29, completed: true, pauses: 1, pausedSeconds: 10 });
+  });
+});
+
+describe('Title Candidate Scoring', () => {
+  // Stand-in for cleanTitle so scores don't depend on parse-torrent-name
+  const parsed: Record<string, { title: string; season: number | null; episode: number | null; year: number | null }> = {
+    'Season 01': { title: 'Season', season: 1, episode: null, year: null },
+    'Friends S01E02': { title: 'Friends', season: 1, episode: 2, year: null },
+    Friends: { title: 'Friends', season: null, episode: null, year: null },
+    'Heat (1995)': { title: 'Heat', season: null, episode: null, year: 1995 },
+    'Heat.1995.1080p.BluRay.x264-GRP': { title: 'Heat', season: null, episode: null, year: 1995 },
+  };
+  const clean = (text: string) => parsed[text];
+
+  it('should rank by source, parsed details and noise, with reasons', () => {
+    const ranked = rankCandidates([
+      { text: 'Season 01', source: 'parent' },
+      { text: 'Friends', source: 'grandparent' },
+      { text: 'Friends S01E02', source: 'filename' },
+    ], clean);
+    expect(ranked.map((c: { text: string }) => c.text)).toEqual(['Friends S01E02', 'Friends', 'Season 01']);
+    expect(ranked[0].reasons).toContain('season and episode (+0.3)');
+    expect(ranked[2].reasons).toContain('generic folder name (-0.5)');
+
+    const movie = rankCandidates([
+      { text: 'Heat (1995)', source: 'parent' },
+      { text: 'Heat.1995.1080p.BluRay.x264-GRP', source: 'filename' },
+    ], clean);
+    expect(movie[0]).toMatchObject({ text: 'Heat (1995)', score: 0.45 });
+    expect(movie[1].reasons.some((reason: string) => reason.includes('noise'))).toBe(true);
+  });
+
+  it('should search close runners-up before committing to a match', async () => {
+    const alternatives = closeAlternatives([
+      { title: 'Tt', score: 0.4 },
+      { title: 'Blade Runner 2049', score: 0.35, year: null, season: null, episode: null },
+    ]);
+    expect(alternatives).toEqual([{ title: 'Blade Runner 2049', year: null, season: null, episode: null }]);
+
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    const searchMovie = jest.fn(async (title: string) => ({ type: 'movie', title: title === 'Tt' ? 'TT: The Movie' : 'Blade Runner 2049' }));
+    monitor.tmdbClient = { searchMovie };
+    const metadata = await monitor.fetchMetadata({ mediaType: 'movie', title: 'Tt', alternatives });
+    expect(searchMovie).toHaveBeenCalledTimes(2);
+    expect(metadata.title).toBe('Blade Runner 2049');
+  });
+});
+
+describe('Absolute Episode Numbering', () => {
+  it('should map absolute numbers through season counts and episode groups', () => {
+    const seasons = [
+      { season_number: 0, episode_count: 5 },
+      { season_number: 1, episode_count: 12 },
+      { season_number: 2, episode_count: 13 },
+    ];
+    expect(mapFromSeasonCounts(seasons, 5)).toEqual({ season: 1, episode: 5 });
+    expect(mapFromSeasonCounts(seasons, 14)).toEqual({ season: 2, episode: 2 });
+    expect(mapFromSeasonCounts(seasons, 27)).toEqual({ season: 2, episode: 15 });
+
+    const group = {
+      groups: [
+        { order: 1, episodes: [{ order: 0, season_number: 2, episode_number: 1 }] },
+        { order: 0, episodes: [{ order: 1, season_number: 1, episode_number: 2 }, { order: 0, season_number: 1, episode_number: 1 }] },
+      ],
+    };
+    expect(mapFromEpisodeGroup(group, 3)).toEqual({ season: 2, episode: 1 });
+    expect(mapFromEpisodeGroup(group, 4)).toBeNull();
+  });
+
+  it('should resolve an absolute anime episode to the TMDb season episode', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    const getTvShowById = jest.fn(async (id: number, season: number, episode: number) => ({ type: 'tv', id, title: 'One Piece', season, episode }));
+    monitor.tmdbClient = {
+      searchTvShow: jest.fn(async () => ({ type: 'tv', id: 37854, title: 'One Piece' })),
+      resolveAbsoluteEpisode: jest.fn(async () => ({ season: 21, episode: 193, source: 'seasons' })),
+      getTvShowById,
+    };
+    const metadata = await monitor.fetchMetadata({ mediaType: 'anime', title: 'One Piece', season: null, episode: 1085, absoluteEpisode: 1085 });
+    expect(getTvShowById).toHaveBeenCalledWith(37854, 21, 193);
+    expect(metadata).toMatchObject({ season: 21, episode: 193, absoluteEpisode: 1085 });
+  });
+
+  it('should look up each absolute episode again while playing', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    let filename = '[SubsPlease] One Piece - 1085 (1080p).mkv';
+    monitor.player.fetchStatus = async () => ({ state: 'playing', time: 5, length: 1400, information: { category: { meta: { filename } } } });
+    monitor.player.fetchPlaylist = async () => [];
+    monitor.tmdbClient = {
+      searchTvShow: jest.fn(async () => ({ type: 'tv', id: 37854, title: 'One Piece' })),
+      resolveAbsoluteEpisode: jest.fn(async (_id: number, absolute: number) => ({ season: 21, episode: absolute - 892, source: 'seasons' })),
+      getTvShowById: jest.fn(async (id: number, season: number, episode: number) => ({ type: 'tv', id, title: 'One Piece', seasonNumber: season, episodeNumber: episode })),
+    };
+
+    await monitor.pollVLC();
+    expect(monitor.currentStatus.metadata).toMatchObject({ seasonNumber: 21, episodeNumber: 193 });
+
+    filename = '[SubsPlease] One Piece - 1086 (1080p).mkv';
+    await monitor.pollVLC();
+    expect(monitor.currentStatus.metadata).toMatchObject({ seasonNumber: 21, episodeNumber: 194, absoluteEpisode: 1086 });
+  });
+});
+
+describe('Episode Ranges', () => {
+  it('should parse multi-episode file names into a range', () => {
+    expect(matchEpisodeRange('-e03.pilot.mkv', 1)).toEqual({ end: 3, text: '-e03' });
+    expect(matchEpisodeRange('e02.mkv', 1)).toEqual({ end: 2, text: 'e02' });
+    expect(matchEpisodeRange('-1080p.mkv', 1)).toBeNull();
+    expect(matchEpisodeRange('.episode.mkv', 1)).toBeNull();
+
+    expect(extractTvInfo('Friends.S01E01-E03.The.Pilot.1080p.mkv')).toMatchObject({ season: 1, episode: 1, episodeEnd: 3, episodeTitle: 'The Pilot' });
+    expect(extractTvInfo('Friends 1x01-02.avi')).toMatchObject({ season: 1, episode: 1, episodeEnd: 2 });
+  });
+
+  it('should not read resolution tags or far-off numbers as the range end', () => {
+    expect(matchEpisodeRange('-720p.mkv', 5)).toBeNull();
+    expect(matchEpisodeRange('-e98.mkv', 5)).toBeNull();
+    expect(extractTvInfo('Show.S01E05-720p.mkv')).toMatchObject({ season: 1, episode: 5, episodeEnd: null });
+    expect(cleanTitle('Show.S01E05-720p.mkv')).toMatchObject({ season: 1, episode: 5, episodeEnd: null });
+  });
+
+  it('should render the range with combined or abbreviated titles', () => {
+    expect(formatEpisodeTitles(['Pilot', 'Second'])).toBe('Pilot / Second');
+    expect(formatEpisodeTitles(['The One Where Monica Gets a Roommate', 'The One with the Sonogram at the End', 'The One with the Thumb'])).toBe('The One Where Monica Gets a Roommate +2 more');
+
+    const activity = createTvShowActivity({
+      type: 'tv',
+      title: 'Friends',
+      seasonNumber: 1,
+      episodeNumber: 1,
+      episodeEnd: 3,
+      episodes: [{ episodeTitle: 'Pilot' }, { episodeTitle: 'Two' }, { episodeTitle: 'Three' }],
+    }, { playing: true, filename: 'Friends.S01E01-E03.mkv' });
+    expect(activity.details).toBe('Friends - S01E01–E03');
+    expect(activity.state).toBe('Pilot / Two / Three');
+  });
+
+  it('should fetch every episode of the range once per file', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    const getEpisodeRange = jest.fn(async () => [{ episodeNumber: 1, episodeTitle: 'Pilot' }, { episodeNumber: 2, episodeTitle: 'Two' }]);
+    monitor.tmdbClient = { getEpisodeRange };
+    monitor.currentStatus.metadata = { type: 'tv', id: 1668, title: 'Friends' };
+
+    await monitor.refreshEpisodeRange({ season: 1, episode: 1, episodeEnd: 2 });
+    await monitor.refreshEpisodeRange({ season: 1, episode: 1, episodeEnd: 2 });
+    expect(getEpisodeRange).toHaveBeenCalledTimes(1);
+    expect(monitor.currentStatus.metadata).toMatchObject({ episodeEnd: 2, formattedEpisode: 'S01E01–E02' });
+
+    await monitor.refreshEpisodeRange({ season: 1, episode: 3, episodeEnd: null });
+    expect(monitor.currentStatus.metadata.episodes).toBeUndefined();
+  });
+});
+
+describe('Air Date Episodes', () => {
+  it('should read a full air date as the episode, not a movie year', () => {
+    const info = cleanTitle('The.Daily.Show.2024.03.15.Jon.Stewart.1080p.WEB.h264-GRP.mkv');
+    expect(info).toMatchObject({ type: 'tv', airDate: '2024-03-15', year: null, episodeTitle: 'Jon Stewart' });
+    expect(cleanTitle('Show.2023.02.30.mkv').airDate).toBeNull();
+  });
+
+  it('should keep season and episode numbers when the release also has a date', () => {
+    expect(cleanTitle('The.Office.S02E05.2019.01.12.720p.mkv')).toMatchObject({ type: 'tv', airDate: null, season: 2, episode: 5, showTitle: 'The Office' });
+    expect(cleanTitle('The.Office.2x05.2019.01.12.mkv')).toMatchObject({ airDate: null, season: 2, episode: 5 });
+  });
+
+  it('should match the air date against season episode lists', async () => {
+    const client = new TMDbClient('key');
+    const requests: string[] = [];
+    client.fetchFromApi = async (endpoint: string) => {
+      requests.push(endpoint);
+      if (endpoint === '/tv/2224') {
+        return { seasons: [{ season_number: 28, air_date: '2023-01-17' }, { season_number: 29, air_date: '2024-01-08' }, { season_number: 30, air_date: '2025-01-06' }] };
+      }
+      return { episodes: [{ season_number: 29, episode_number: 30, air_date: '2024-03-14' }, { season_number: 29, episode_number: 31, air_date: '2024-03-15' }] };
+    };
+    expect(await client.findEpisodeByAirDate(2224, '2024-03-15')).toEqual({ season: 29, episode: 31 });
+    expect(requests).toEqual(['/tv/2224', '/tv/2224/season/29']);
+  });
+
+  it('should show the air date and guests in the presence', async () => {
+    const monitor = new VLCMonitor({ backend: 'vlc' });
+    monitor.tmdbClient = {
+      searchTvShow: jest.fn(async () => ({ type: 'tv', id: 2224, title: 'The Daily Show' })),
+      findEpisodeByAirDate: jest.fn(async () => ({ season: 29, episode: 31 })),
+      getTvShowById: jest.fn(async () => ({ type: 'tv', id: 2224, title: 'The Daily Show', seasonNumber: 29, episodeNumber: 31, episodeGuestStars: 'Jon Stewart' })),
+    };
+    const metadata = await monitor.fetchMetadata({ mediaType: 'tv', title: 'The Daily Show', season: null, episode: null, airDate: '2024-03-15' });
+    expect(metadata).toMatchObject({ episodeNumber: 31, airDate: '2024-03-15' });
+
+    const activity = createTvShowActivity(metadata, { playing: true, filename: 'The.Daily.Show.2024.03.15.mkv' });
+    expect(activity.details).toBe('The Daily Show - Mar 15, 2024');
+    expect(activity.state).toBe('With Jon Stewart');
+  });
+});
+
+describe('Specials', () => {
+  it('should detect season 0, Special, OVA and OAD files', () => {
+    expect(detectSpecial('Doctor.Who.S00E05.The.Christmas.Invasion.mkv')).toMatchObject({ type: 'special', number: 5, showTitle: 'Doctor Who' });
+    expect(detectSpecial('[SubsPlease] Mystery Show - OVA 2 [1080p].mkv')).toMatchObject({ type: 'ova', number: 2, showTitle: 'Mystery Show' });
+    expect(detectSpecial("Mystery Show - Ilse's Notebook (OVA) [1080p].mkv")).toMatchObject({ type: 'ova', number: null, title: "Ilse's Notebook" });
+    expect(detectSpecial('Sherlock - Christmas Special.mkv')).toMatchObject({ type: 'special', showTitle: 'Sherlock', title: 'Christmas' });
+    expect(detectSpecial('Special.Forces.2011.mkv')).toBeNull();
+    expect(detectSpecial('Law.and.Order.Special.Victims.Unit.S01E01.mkv')).toBeNull();
+    expect(extractTvInfo('[Group] Mystery Show OAD - The Lost Chapter [720p].mkv')).toMatchObject({ season: 0, special: { type: 'oad', title: 'The Lost Chapter' } });
+  });
+
+  it('should leave movies with "Special" in the name alone', () => {
+    expect(detectSpecial('The.Special.2020.1080p.mkv')).toBeNull();
+    expect(detectSpecial('Sherlock.Special.1080p.mkv')).toBeNull();
+    expect(cleanTitle('The.Special.2020.1080p.mkv')).toMatchObject({ type: 'movie', season: null, special: null });
+    // Numbered, but dated like a movie
+    expect(cleanTitle('Red.Special.2.2019.1080p.mkv')).toMatchObject({ type: 'movie', season: null, special: null });
+  });
+
+  it('should match specials against the season 0 list', () => {
+    const specials = [
+      { episode_number: 1, name: 'OVA 1: Ilse\'s Notebook' },
+      { episode_number: 2, name: 'Recap' },
+      { episode_number: 3, name: 'OVA 2: Lost Girls' },
+    ];
+    expect(matchSpecialEpisode(specials, { type: 'ova', number: null, title: "Ilse's Notebook" })).toBe(1);
+    expect(matchSpecialEpisode(specials, { type: 'ova', number: 2, title: null })).toBe(3);
+    expect(matchSpecialEpisode(specials, { type: 'special', number: 2, title: null })).toBe(2);
+  });
+
+  it('should look OVAs up in the specials season and label them "Special"', async () => {
+    const client = new TMDbClient('key');
+    const requests: string[] = [];
+    client.fetchFromApi = async (endpoint: string) => {
+      requests.push(endpoint);
+      if (endpoint === '/search/tv') return { results: [{ id: 99 }] };
+      if (endpoint === '/tv/99') return { id: 99, name: 'Mystery Show' };
+      if (endpoint === '/tv/99/season/0') return { episodes: [{ episode_number: 1, name: 'Recap' }, { episode_number: 2, name: 'OVA: Lost Girls' }] };
+      return { season_number: 0, episode_number: 2, name: 'OVA: Lost Girls' };
+    };
+    const metadata = await client.searchTvShow('Mystery Show', 0, null, '', { special: { type: 'ova', number: null, title: 'Lost Girls' } });
+    expect(requests).toContain('/tv/99/season/0/episode/2');
+    expect(metadata).toMatchObject({ seasonNumber: 0, episodeNumber: 2, formattedEpisode: 'Special' });
+
+    const activity = createTvShowActivity(metadata, { playing: true, filename: 'Mystery.Show.OVA.mkv' });
+    expect(activity.details).toBe('Mystery Show - Special');
+    expect(activity.state).toBe('OVA: Lost Girls');
+  });
+});